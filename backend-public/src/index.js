@@ -3,10 +3,14 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const dotenv = require("dotenv");
-const path = require("path");
 const http = require("http");
 const { Server } = require("socket.io");
+const multer = require("multer");
 const { socketAuth, handleConnection } = require("./socket/socketHandler");
+const jobQueue = require("./services/jobQueue");
+const scheduler = require("./services/scheduler");
+const { registerJobs } = require("./jobs");
+const storage = require("./services/storage");
 
 // Load environment variables first
 dotenv.config();
@@ -219,6 +223,34 @@ try {
   process.exit(1);
 }
 
+let deliverableRoutes;
+try {
+  deliverableRoutes = require("./routes/deliverables");
+  console.log("✅ Deliverable routes loaded");
+} catch (error) {
+  console.error("❌ Error loading deliverable routes:", error.message);
+  process.exit(1);
+}
+
+let campaignImageRoutes;
+try {
+  campaignImageRoutes = require("./routes/campaignImages");
+  console.log("✅ Campaign image routes loaded");
+} catch (error) {
+  console.error("❌ Error loading campaign image routes:", error.message);
+  process.exit(1);
+}
+
+let campaignInvitationRoutes, invitationRoutes;
+try {
+  campaignInvitationRoutes = require("./routes/campaignInvitations");
+  invitationRoutes = require("./routes/invitations");
+  console.log("✅ Invitation routes loaded");
+} catch (error) {
+  console.error("❌ Error loading invitation routes:", error.message);
+  process.exit(1);
+}
+
 let chatRoutes;
 try {
   chatRoutes = require("./routes/chat");
@@ -228,6 +260,15 @@ try {
   process.exit(1);
 }
 
+let fileRoutes;
+try {
+  fileRoutes = require("./routes/files");
+  console.log("✅ File routes loaded");
+} catch (error) {
+  console.error("❌ Error loading file routes:", error.message);
+  process.exit(1);
+}
+
 // API Routes with logging
 app.use(
   "/api/auth",
@@ -247,6 +288,33 @@ app.use(
   creatorRoutes
 );
 
+app.use(
+  "/api/campaigns/:campaignId/deliverables",
+  (req, res, next) => {
+    console.log("📦 Deliverable route accessed:", req.method, req.path);
+    next();
+  },
+  deliverableRoutes
+);
+
+app.use(
+  "/api/campaigns/:campaignId/images",
+  (req, res, next) => {
+    console.log("🖼️ Campaign image route accessed:", req.method, req.path);
+    next();
+  },
+  campaignImageRoutes
+);
+
+app.use(
+  "/api/campaigns/:campaignId/invitations",
+  (req, res, next) => {
+    console.log("✉️ Campaign invitation route accessed:", req.method, req.path);
+    next();
+  },
+  campaignInvitationRoutes
+);
+
 app.use(
   "/api/campaigns",
   (req, res, next) => {
@@ -274,6 +342,15 @@ app.use(
   adminRoutes
 );
 
+app.use(
+  "/api/invitations",
+  (req, res, next) => {
+    console.log("✉️ Invitation route accessed:", req.method, req.path);
+    next();
+  },
+  invitationRoutes
+);
+
 app.use(
   "/api/chats",
   (req, res, next) => {
@@ -283,10 +360,27 @@ app.use(
   chatRoutes
 );
 
-// Static file serving for uploads
-const uploadsPath = path.join(__dirname, "../uploads");
-app.use("/uploads", express.static(uploadsPath));
-console.log("📁 Static uploads directory:", uploadsPath);
+// Signed private file downloads (local storage driver)
+app.use(
+  "/api/files",
+  (req, res, next) => {
+    console.log("📁 File route accessed:", req.method, req.path);
+    next();
+  },
+  fileRoutes
+);
+
+// Static file serving for public files when they are stored on local disk
+const storageDriver = storage.getDriver();
+if (storageDriver.name === "local") {
+  app.use(
+    "/uploads",
+    express.static(storageDriver.publicRoot, {
+      setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+    })
+  );
+  console.log("📁 Static uploads directory:", storageDriver.publicRoot);
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -321,6 +415,28 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Handle upload errors
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      error: "Upload failed",
+      message: err.message,
+    });
+  }
+
+  if (err.type === "upload.unsupported.type") {
+    return res.status(415).json({
+      error: "Unsupported file type",
+      message: err.message,
+    });
+  }
+
+  if (err.type === "upload.file.too.large") {
+    return res.status(413).json({
+      error: "File too large",
+      message: err.message,
+    });
+  }
+
   res.status(500).json({
     error: "Internal server error",
     message:
@@ -386,9 +502,16 @@ mongoose
       console.log("🎯 Ready to accept requests!");
     });
 
+    // Start background job processing and scheduled tasks
+    registerJobs();
+    jobQueue.start({ io });
+    scheduler.start({ io });
+
     // Graceful shutdown handling
     process.on("SIGTERM", () => {
       console.log("📴 SIGTERM received, shutting down gracefully...");
+      scheduler.stop();
+      jobQueue.stop();
       server.close(() => {
         console.log("✅ Server closed");
         io.close(() => {
@@ -403,6 +526,8 @@ mongoose
 
     process.on("SIGINT", () => {
       console.log("📴 SIGINT received, shutting down gracefully...");
+      scheduler.stop();
+      jobQueue.stop();
       server.close(() => {
         console.log("✅ Server closed");
         io.close(() => {
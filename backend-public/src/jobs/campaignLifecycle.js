@@ -0,0 +1,85 @@
+// backend/jobs/campaignLifecycle.js
+// Moves campaigns through their lifecycle on schedule:
+// draft -> active at startDate, active -> expired after endDate.
+const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+const scheduler = require("../services/scheduler");
+const { emitToUser } = require("../socket/socketHandler");
+
+const LIFECYCLE_INTERVAL_MS =
+  (Number(process.env.CAMPAIGN_LIFECYCLE_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+const TRANSITIONS = [
+  {
+    from: "draft",
+    to: "active",
+    due: (now) => ({ startDate: { $lte: now } }),
+    message: (campaign) => `Campaign "${campaign.name}" is now live`,
+  },
+  {
+    from: "active",
+    to: "expired",
+    due: (now) => ({ endDate: { $lt: now } }),
+    message: (campaign) => `Campaign "${campaign.name}" has ended`,
+  },
+];
+
+// Tell the brand and every applicant about a status change
+const notifyStatusChange = async (io, campaign, transition) => {
+  const applicants = await Application.distinct("creator", {
+    campaign: campaign._id,
+    status: { $nin: Application.INACTIVE_STATUSES },
+  });
+
+  const payload = {
+    campaign: { id: campaign._id, name: campaign.name },
+    previousStatus: transition.from,
+    status: transition.to,
+    message: transition.message(campaign),
+  };
+
+  [campaign.brand, ...applicants].forEach((userId) => {
+    emitToUser(io, userId.toString(), "campaign_status_changed", payload);
+  });
+};
+
+const runTransition = async (transition, { io }, now) => {
+  const due = await Campaign.find({ status: transition.from, ...transition.due(now) })
+    .select("_id")
+    .lean();
+
+  let moved = 0;
+  for (const { _id } of due) {
+    // Only move the campaign if nobody changed its status in the meantime
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id, status: transition.from },
+      { status: transition.to },
+      { new: true }
+    ).select("name brand status");
+    if (!campaign) continue;
+
+    moved += 1;
+    if (io) await notifyStatusChange(io, campaign, transition);
+  }
+
+  if (moved > 0) {
+    console.log(`📅 ${moved} campaigns moved ${transition.from} → ${transition.to}`);
+  }
+};
+
+const updateCampaignStatuses = async (context) => {
+  const now = new Date();
+  for (const transition of TRANSITIONS) {
+    await runTransition(transition, context, now);
+  }
+};
+
+const register = () => {
+  scheduler.scheduleTask(
+    "campaigns.updateStatuses",
+    LIFECYCLE_INTERVAL_MS,
+    updateCampaignStatuses
+  );
+};
+
+module.exports = { register };
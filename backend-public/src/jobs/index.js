@@ -0,0 +1,15 @@
+// backend/jobs/index.js
+// Registers every background job handler and scheduled task
+const onboardingJobs = require("./onboarding");
+const metricsJobs = require("./metrics");
+const campaignLifecycleJobs = require("./campaignLifecycle");
+const mailJobs = require("./mail");
+
+const registerJobs = () => {
+  onboardingJobs.register();
+  metricsJobs.register();
+  campaignLifecycleJobs.register();
+  mailJobs.register();
+};
+
+module.exports = { registerJobs };
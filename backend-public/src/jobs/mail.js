@@ -0,0 +1,52 @@
+// backend/jobs/mail.js
+// Outbound email queue. Messages are rendered and sent by a background job,
+// so a slow or failing mail server never blocks a request and failed sends
+// are retried with backoff.
+const jobQueue = require("../services/jobQueue");
+const { hasTemplate, sendTemplate } = require("../services/mailer");
+
+const SEND_MAIL_JOB = "mail.send";
+
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 6;
+
+const sendQueuedMail = async ({ to, template, data }) => {
+  try {
+    const { messageId } = await sendTemplate(to, template, data);
+    console.log(`📧 Mail "${template}" sent to ${to} (${messageId})`);
+  } catch (err) {
+    // SMTP 5xx replies (bad address, rejected message) won't succeed on retry
+    if (err.responseCode >= 500) throw jobQueue.permanentError(err.message);
+    throw err;
+  }
+};
+
+const logFailure = async ({ to, template }, err) => {
+  console.error(`❌ Mail "${template}" to ${to} failed permanently: ${err.message}`);
+};
+
+// Queue a templated email. Unknown templates are rejected here rather than in
+// the job.
+const queueMail = async (to, template, data = {}) => {
+  if (!hasTemplate(template)) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  return jobQueue.enqueue(SEND_MAIL_JOB, { to, template, data }, { maxAttempts: MAIL_MAX_ATTEMPTS });
+};
+
+// Queue mail from a request without failing it when the queue is unavailable
+const queueMailSafely = (to, template, data) =>
+  queueMail(to, template, data).catch((err) => {
+    console.error(`Queue mail "${template}" error:`, err);
+  });
+
+const register = () => {
+  jobQueue.registerHandler(SEND_MAIL_JOB, sendQueuedMail, {
+    onFailure: logFailure,
+  });
+};
+
+module.exports = {
+  register,
+  queueMail,
+  queueMailSafely,
+};
@@ -0,0 +1,93 @@
+// backend/jobs/metrics.js
+// Periodic re-scraping of creator metrics. A scheduled task picks creators
+// whose data is stale and queues one re-scrape job per creator.
+const User = require("../models/User");
+const Job = require("../models/Job");
+const MetricsSnapshot = require("../models/MetricsSnapshot");
+const jobQueue = require("../services/jobQueue");
+const scheduler = require("../services/scheduler");
+const { scrapeInstagramData } = require("../services/instagram");
+
+const RESCRAPE_CREATOR_JOB = "metrics.rescrapeCreator";
+
+const HOUR_MS = 60 * 60 * 1000;
+const RESCRAPE_INTERVAL_MS =
+  (Number(process.env.METRICS_RESCRAPE_INTERVAL_HOURS) || 24) * HOUR_MS;
+const SCHEDULER_INTERVAL_MS =
+  (Number(process.env.METRICS_SCHEDULER_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const BATCH_SIZE = Number(process.env.METRICS_RESCRAPE_BATCH_SIZE) || 50;
+
+// Save fresh scraped data on the creator and record a history snapshot
+const recordMetrics = async (user, scrapedData, source) => {
+  user.scrapedData = { ...scrapedData, lastScrapedAt: new Date() };
+  await user.save();
+  await MetricsSnapshot.fromScrapedData(user._id, scrapedData, source).save();
+};
+
+const rescrapeCreator = async ({ userId }) => {
+  const user = await User.findOne({ _id: userId, role: "creator" });
+  if (!user) return;
+
+  const result = await scrapeInstagramData(user.instaUsername);
+
+  if (!result.exists) {
+    if (result.error) throw new Error(result.error);
+    throw jobQueue.permanentError(
+      `Instagram profile @${user.instaUsername} no longer exists`
+    );
+  }
+
+  await recordMetrics(user, result.data, "scheduled");
+  console.log(`📈 Metrics refreshed for @${user.instaUsername}`);
+};
+
+// Queue re-scrapes for active creators whose metrics are out of date
+const enqueueStaleCreators = async () => {
+  const alreadyQueued = await Job.distinct("payload.userId", {
+    type: RESCRAPE_CREATOR_JOB,
+    status: { $in: ["queued", "running"] },
+  });
+
+  const staleBefore = new Date(Date.now() - RESCRAPE_INTERVAL_MS);
+  const creators = await User.find({
+    _id: { $nin: alreadyQueued },
+    role: "creator",
+    ...User.visibleFilter(),
+    "onboarding.status": { $nin: ["pending_verification", "failed"] },
+    $or: [
+      { "scrapedData.lastScrapedAt": { $exists: false } },
+      { "scrapedData.lastScrapedAt": { $lt: staleBefore } },
+    ],
+  })
+    .select("_id")
+    .sort({ "scrapedData.lastScrapedAt": 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const creator of creators) {
+    await jobQueue.enqueue(RESCRAPE_CREATOR_JOB, {
+      userId: creator._id.toString(),
+    });
+  }
+
+  if (creators.length > 0) {
+    console.log(`📈 Queued metrics refresh for ${creators.length} creators`);
+  }
+};
+
+const register = () => {
+  jobQueue.registerHandler(RESCRAPE_CREATOR_JOB, rescrapeCreator, {
+    onFailure: ({ userId }, err) =>
+      console.warn(`⚠️ Giving up on metrics refresh for ${userId}: ${err.message}`),
+  });
+  scheduler.scheduleTask(
+    "metrics.enqueueStaleCreators",
+    SCHEDULER_INTERVAL_MS,
+    enqueueStaleCreators
+  );
+};
+
+module.exports = {
+  register,
+  recordMetrics,
+};
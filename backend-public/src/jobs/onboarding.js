@@ -0,0 +1,138 @@
+// backend/jobs/onboarding.js
+// Creator onboarding runs in the background after signup:
+// comment verification first, then the Instagram profile scrape.
+const User = require("../models/User");
+const Job = require("../models/Job");
+const jobQueue = require("../services/jobQueue");
+const {
+  verifyUserComment,
+  scrapeInstagramData,
+} = require("../services/instagram");
+const { emitToUser } = require("../socket/socketHandler");
+const { recordMetrics } = require("./metrics");
+const { autoApproveIfEligible } = require("../services/accountReview");
+
+const VERIFY_COMMENT_JOB = "onboarding.verifyComment";
+const SCRAPE_PROFILE_JOB = "onboarding.scrapeProfile";
+
+// Load a creator whose onboarding is still in progress
+const findPendingCreator = (userId) =>
+  User.findOne({
+    _id: userId,
+    role: "creator",
+    "onboarding.status": "pending_verification",
+  });
+
+const verifyComment = async ({ userId }) => {
+  const user = await findPendingCreator(userId);
+  if (!user) return;
+
+  const { postUrl, productName } = user.commentVerification;
+  const result = await verifyUserComment(user.instaUsername, postUrl, productName);
+
+  if (!result.verified) {
+    // Scrape errors are transient and retried; a missing comment is final
+    if (result.error) throw new Error(result.error);
+    throw jobQueue.permanentError(result.message);
+  }
+
+  user.commentVerification.verified = true;
+  user.commentVerification.comment = result.comment;
+  user.commentVerification.verifiedAt = new Date();
+  user.commentVerification.commentedAt = result.commentedAt;
+  user.onboarding.stage = "profile_scrape";
+  await user.save();
+
+  console.log(`✅ Comment verified for @${user.instaUsername}`);
+  await jobQueue.enqueue(SCRAPE_PROFILE_JOB, { userId });
+};
+
+const scrapeProfile = async ({ userId }, { io }) => {
+  const user = await findPendingCreator(userId);
+  if (!user) return;
+
+  const result = await scrapeInstagramData(user.instaUsername);
+
+  if (!result.exists) {
+    if (result.error) throw new Error(result.error);
+    throw jobQueue.permanentError("Instagram username not found or does not exist");
+  }
+
+  user.onboarding.status = "completed";
+  user.onboarding.error = undefined;
+  user.onboarding.completedAt = new Date();
+  await recordMetrics(user, result.data, "onboarding");
+
+  console.log(`✅ Onboarding completed for @${user.instaUsername}`);
+  await autoApproveIfEligible(io, user);
+  if (io) {
+    emitToUser(io, user._id.toString(), "onboarding_completed", {
+      userId: user._id,
+      onboarding: user.onboarding,
+      instagramStats: {
+        followers: result.data.followers,
+        engagementRate: result.data.engagementRate,
+        avgLikes: result.data.avgLikes,
+        totalUploads: result.data.totalUploads,
+      },
+    });
+  }
+};
+
+// Mark onboarding as failed once a job gives up
+const markFailed = async ({ userId }, err, { io }) => {
+  const user = await findPendingCreator(userId);
+  if (!user) return;
+
+  user.onboarding.status = "failed";
+  user.onboarding.error = err.message;
+  await user.save();
+
+  console.log(`❌ Onboarding failed for @${user.instaUsername}: ${err.message}`);
+  if (io) {
+    emitToUser(io, user._id.toString(), "onboarding_failed", {
+      userId: user._id,
+      onboarding: user.onboarding,
+    });
+  }
+};
+
+// Start (or restart) onboarding for a creator. A creator whose onboarding
+// jobs are still queued or running keeps them, so two runs never write to the
+// same user; waiting retries are brought forward instead.
+const startOnboarding = async (user) => {
+  const userId = user._id.toString();
+
+  user.onboarding = {
+    status: "pending_verification",
+    stage: "comment_verification",
+    startedAt: new Date(),
+  };
+  await user.save();
+
+  const pendingJobs = {
+    type: { $in: [VERIFY_COMMENT_JOB, SCRAPE_PROFILE_JOB] },
+    "payload.userId": userId,
+    status: { $in: ["queued", "running"] },
+  };
+  if (await Job.exists(pendingJobs)) {
+    await Job.updateMany({ ...pendingJobs, status: "queued" }, { runAt: new Date() });
+    return;
+  }
+
+  await jobQueue.enqueue(VERIFY_COMMENT_JOB, { userId });
+};
+
+const register = () => {
+  jobQueue.registerHandler(VERIFY_COMMENT_JOB, verifyComment, {
+    onFailure: markFailed,
+  });
+  jobQueue.registerHandler(SCRAPE_PROFILE_JOB, scrapeProfile, {
+    onFailure: markFailed,
+  });
+};
+
+module.exports = {
+  register,
+  startOnboarding,
+};
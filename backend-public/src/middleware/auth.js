@@ -1,6 +1,7 @@
 // backend/middleware/auth.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { checkTokenUser } = require("../services/authTokens");
 
 const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -14,10 +15,18 @@ const authenticate = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.id);
-    if (!user)
-      return res.status(401).json({ error: "Unauthorized: User not found" });
+
+    // Revoked tokens and banned, suspended or deactivated accounts are refused
+    const rejection = await checkTokenUser(decoded, user);
+    if (rejection) {
+      return res.status(rejection.status).json({
+        error: rejection.error,
+        ...(user && rejection.status === 403 && { status: user.status }),
+      });
+    }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid or expired token" });
@@ -33,7 +42,21 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+// Only active accounts may create content other users see (campaigns,
+// applications, invitations, chats). Accounts still in review are limited to
+// the auth, review and onboarding endpoints. Use after authenticate.
+const requireActive = (req, res, next) => {
+  if (!req.user || !req.user.isVisible()) {
+    return res.status(403).json({
+      error: "Your account must be active to do this",
+      status: req.user?.status,
+    });
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
   authorizeRoles,
+  requireActive,
 };
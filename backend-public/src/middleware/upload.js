@@ -1,21 +1,174 @@
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
 
-// Ensure uploads folder exists
-const uploadPath = path.join(__dirname, "../uploads");
-if (!fs.existsSync(uploadPath)) fs.mkdirSync(uploadPath);
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    const uniqueName = `${Date.now()}-${file.originalname}`;
-    cb(null, uniqueName);
-  },
+// Uploads land in a temp folder; routes then hand them to services/storage,
+// which moves them to their permanent (public or private) location.
+const uploadPath = path.join(os.tmpdir(), "locolab-uploads");
+if (!fs.existsSync(uploadPath)) fs.mkdirSync(uploadPath, { recursive: true });
+
+const MB = 1024 * 1024;
+
+// Magic-number checks on the first bytes of a file, so a renamed file with a
+// spoofed Content-Type is rejected
+const startsWith = (bytes, offset = 0) => (header) =>
+  header.length >= offset + bytes.length &&
+  bytes.every((byte, i) => header[offset + i] === byte);
+const ascii = (text) => [...text].map((c) => c.charCodeAt(0));
+
+const SIGNATURES = {
+  jpeg: startsWith([0xff, 0xd8, 0xff]),
+  png: startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  gif: startsWith(ascii("GIF8")),
+  webp: (header) => startsWith(ascii("RIFF"))(header) && startsWith(ascii("WEBP"), 8)(header),
+  pdf: startsWith(ascii("%PDF-")),
+  isoMedia: startsWith(ascii("ftyp"), 4),
+  webm: startsWith([0x1a, 0x45, 0xdf, 0xa3]),
+};
+const SNIFF_BYTES = 16;
+
+const IMAGE_TYPES = {
+  "image/jpeg": { extensions: [".jpg", ".jpeg"], kind: "image", maxSize: 10 * MB, matches: SIGNATURES.jpeg },
+  "image/png": { extensions: [".png"], kind: "image", maxSize: 10 * MB, matches: SIGNATURES.png },
+  "image/webp": { extensions: [".webp"], kind: "image", maxSize: 10 * MB, matches: SIGNATURES.webp },
+  "image/gif": { extensions: [".gif"], kind: "image", maxSize: 10 * MB, matches: SIGNATURES.gif },
+};
+
+const ATTACHMENT_TYPES = {
+  ...IMAGE_TYPES,
+  "application/pdf": { extensions: [".pdf"], kind: "pdf", maxSize: 10 * MB, matches: SIGNATURES.pdf },
+  "video/mp4": { extensions: [".mp4"], kind: "video", maxSize: 50 * MB, matches: SIGNATURES.isoMedia },
+  "video/quicktime": { extensions: [".mov"], kind: "video", maxSize: 50 * MB, matches: SIGNATURES.isoMedia },
+  "video/webm": { extensions: [".webm"], kind: "video", maxSize: 50 * MB, matches: SIGNATURES.webm },
+};
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const uploadError = (type, message) => {
+  const err = new Error(message);
+  err.type = type;
+  return err;
+};
+
+// Best-effort removal of temp files left by a request that was rejected
+const removeUploadedFiles = (files = []) =>
+  Promise.all(
+    files.map((file) =>
+      fs.promises.unlink(file.path).catch((err) => {
+        if (err.code !== "ENOENT") {
+          console.error(`Failed to remove upload ${file.path}:`, err);
+        }
+      })
+    )
+  );
+
+// Build a multer middleware for one field. Files get random names with an
+// extension derived from their (whitelisted) type, never the client's name.
+const createUpload = ({ fieldName, maxFiles, allowedTypes }) => {
+  const maxFileSize = Math.max(...Object.values(allowedTypes).map((t) => t.maxSize));
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: uploadPath,
+      filename: (req, file, cb) => {
+        const [extension] = allowedTypes[file.mimetype].extensions;
+        cb(null, `${Date.now()}-${crypto.randomBytes(12).toString("hex")}${extension}`);
+      },
+    }),
+    limits: {
+      fileSize: maxFileSize,
+      files: maxFiles,
+      fields: 20,
+    },
+    fileFilter: (req, file, cb) => {
+      const type = allowedTypes[file.mimetype];
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (!type || !type.extensions.includes(extension)) {
+        return cb(
+          uploadError(
+            "upload.unsupported.type",
+            `Unsupported file type for "${file.originalname}"`
+          )
+        );
+      }
+      cb(null, true);
+    },
+  }).array(fieldName, maxFiles);
+
+  return (req, res, next) => {
+    upload(req, res, async (err) => {
+      if (err) {
+        await removeUploadedFiles(req.files);
+        return next(err);
+      }
+
+      // Per-type size limits (e.g. videos may be larger than images)
+      const files = req.files || [];
+      const oversized = files.find((file) => file.size > allowedTypes[file.mimetype].maxSize);
+      if (oversized) {
+        await removeUploadedFiles(files);
+        const limitMb = allowedTypes[oversized.mimetype].maxSize / MB;
+        return next(
+          uploadError(
+            "upload.file.too.large",
+            `"${oversized.originalname}" exceeds the ${limitMb}MB limit for this file type`
+          )
+        );
+      }
+
+      // The content must match the declared type
+      try {
+        for (const file of files) {
+          const header = await readHeader(file.path);
+          if (!allowedTypes[file.mimetype].matches(header)) {
+            await removeUploadedFiles(files);
+            return next(
+              uploadError(
+                "upload.unsupported.type",
+                `"${file.originalname}" is not a valid ${file.mimetype} file`
+              )
+            );
+          }
+        }
+      } catch (sniffErr) {
+        await removeUploadedFiles(files);
+        return next(sniffErr);
+      }
+
+      files.forEach((file) => {
+        file.kind = allowedTypes[file.mimetype].kind;
+      });
+      next();
+    });
+  };
+};
+
+const uploadCampaignImages = createUpload({
+  fieldName: "images",
+  maxFiles: 5,
+  allowedTypes: IMAGE_TYPES,
 });
 
-const upload = multer({ storage });
+const uploadChatAttachments = createUpload({
+  fieldName: "attachments",
+  maxFiles: 5,
+  allowedTypes: ATTACHMENT_TYPES,
+});
 
-module.exports = upload;
+module.exports = {
+  uploadCampaignImages,
+  uploadChatAttachments,
+  removeUploadedFiles,
+};
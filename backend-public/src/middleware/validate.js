@@ -0,0 +1,32 @@
+// backend/middleware/validate.js
+const { validationResult } = require("express-validator");
+
+// Run after express-validator chains: reject the request with the collected
+// messages, in the same shape as mongoose validation errors
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => (e.path ? `${e.path}: ${e.msg}` : e.msg)),
+    });
+  }
+  next();
+};
+
+// Reject body fields that are not in the allowed list
+const onlyFields = (allowed) => (req, res, next) => {
+  const unknown = Object.keys(req.body || {}).filter((field) => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: unknown.map((field) => `${field}: field cannot be updated`),
+    });
+  }
+  next();
+};
+
+module.exports = {
+  validate,
+  onlyFields,
+};
@@ -0,0 +1,38 @@
+// Convert scrapedData.engagementRate from strings like "2.35" or "2.35%" to numbers
+
+// Aggregation expression parsing a string percentage into a double
+const toNumber = (field) => ({
+  $convert: {
+    input: { $trim: { input: field, chars: "% " } },
+    to: "double",
+    onError: 0,
+    onNull: 0,
+  },
+});
+
+module.exports = {
+  description: "Store engagement rates as numbers",
+
+  async up(db) {
+    const users = await db.collection("users").updateMany(
+      { "scrapedData.engagementRate": { $type: "string" } },
+      [
+        {
+          $set: {
+            "scrapedData.engagementRate": toNumber("$scrapedData.engagementRate"),
+          },
+        },
+      ]
+    );
+
+    const snapshots = await db.collection("metricssnapshots").updateMany(
+      { engagementRate: { $type: "string" } },
+      [{ $set: { engagementRate: toNumber("$engagementRate") } }]
+    );
+
+    return {
+      usersUpdated: users.modifiedCount,
+      snapshotsUpdated: snapshots.modifiedCount,
+    };
+  },
+};
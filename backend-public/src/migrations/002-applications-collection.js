@@ -0,0 +1,52 @@
+// Move Campaign.appliedCreators entries into the applications collection
+
+module.exports = {
+  description: "Create Application records from campaign appliedCreators arrays",
+
+  async up(db) {
+    const campaigns = db.collection("campaigns");
+    const applications = db.collection("applications");
+
+    let created = 0;
+    const cursor = campaigns.find(
+      { "appliedCreators.0": { $exists: true } },
+      { projection: { brand: 1, appliedCreators: 1 } }
+    );
+
+    for await (const campaign of cursor) {
+      for (const entry of campaign.appliedCreators) {
+        const appliedAt = entry.appliedAt || new Date();
+        const result = await applications.updateOne(
+          { campaign: campaign._id, creator: entry.creator },
+          {
+            $setOnInsert: {
+              campaign: campaign._id,
+              creator: entry.creator,
+              brand: campaign.brand,
+              status: "applied",
+              quotedRate: { currency: "USD" },
+              appliedAt,
+              statusHistory: [
+                { status: "applied", changedBy: entry.creator, changedAt: appliedAt },
+              ],
+              createdAt: appliedAt,
+              updatedAt: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+        created += result.upsertedCount;
+      }
+    }
+
+    const cleaned = await campaigns.updateMany(
+      { appliedCreators: { $exists: true } },
+      { $unset: { appliedCreators: "" } }
+    );
+
+    return {
+      applicationsCreated: created,
+      campaignsCleaned: cleaned.modifiedCount,
+    };
+  },
+};
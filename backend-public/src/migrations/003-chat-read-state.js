@@ -0,0 +1,71 @@
+// Replace the global Message.status "read" flag and Message.readBy with
+// per-participant read markers on the chat
+
+module.exports = {
+  description: "Build Chat.readState from Message.readBy and drop the read flag",
+
+  async up(db) {
+    const chats = db.collection("chats");
+    const messages = db.collection("messages");
+
+    let markersCreated = 0;
+    const cursor = chats.find(
+      { "readState.0": { $exists: false } },
+      { projection: { participants: 1 } }
+    );
+
+    for await (const chat of cursor) {
+      const readState = [];
+
+      for (const participant of chat.participants) {
+        // Latest message from someone else that this participant had read
+        const lastRead = await messages.findOne(
+          {
+            chat: chat._id,
+            sender: { $ne: participant },
+            $or: [{ "readBy.user": participant }, { status: "read" }],
+          },
+          { sort: { createdAt: -1 }, projection: { createdAt: 1 } }
+        );
+
+        if (lastRead) {
+          readState.push({
+            user: participant,
+            lastReadMessage: lastRead._id,
+            lastReadAt: lastRead.createdAt,
+          });
+        }
+      }
+
+      if (readState.length > 0) {
+        await chats.updateOne({ _id: chat._id }, { $set: { readState } });
+        markersCreated += readState.length;
+      }
+    }
+
+    const messagesUpdated = await messages.updateMany(
+      { $or: [{ status: "read" }, { readBy: { $exists: true } }] },
+      [
+        {
+          $set: {
+            status: {
+              $cond: [{ $eq: ["$status", "read"] }, "delivered", "$status"],
+            },
+          },
+        },
+        { $unset: "readBy" },
+      ]
+    );
+
+    // The old status index is replaced by { chat, sender, createdAt }
+    const indexes = await messages.indexes().catch(() => []);
+    if (indexes.some((index) => index.name === "chat_1_status_1")) {
+      await messages.dropIndex("chat_1_status_1");
+    }
+
+    return {
+      markersCreated,
+      messagesUpdated: messagesUpdated.modifiedCount,
+    };
+  },
+};
@@ -0,0 +1,103 @@
+// Copy files from the old uploads/ and attachments/ folders into the storage
+// service (content-hash names) and point campaigns and messages at them.
+// Old files are left in place; remove the folders once the migration is verified.
+const fs = require("fs");
+const path = require("path");
+const { saveFile, getPublicUrl } = require("../services/storage");
+
+const LEGACY_UPLOAD_PATHS = [
+  path.join(__dirname, "../../uploads"),
+  // Files were briefly written relative to src/ by the old upload middleware
+  path.join(__dirname, "../uploads"),
+];
+const LEGACY_ATTACHMENT_PATH = path.join(__dirname, "../../attachments");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+const findLegacyUpload = (fileName) =>
+  LEGACY_UPLOAD_PATHS.map((dir) => path.join(dir, fileName)).find((file) =>
+    fs.existsSync(file)
+  );
+
+module.exports = {
+  description: "Move campaign images and chat attachments onto the storage service",
+
+  async up(db) {
+    const campaigns = db.collection("campaigns");
+    const messages = db.collection("messages");
+    const result = { imagesMoved: 0, imagesMissing: 0, attachmentsMoved: 0, attachmentsMissing: 0 };
+
+    const campaignCursor = campaigns.find(
+      { images: { $elemMatch: { $regex: "^/uploads/[^/]+$" } } },
+      { projection: { images: 1 } }
+    );
+
+    for await (const campaign of campaignCursor) {
+      const images = [];
+      for (const url of campaign.images) {
+        const match = /^\/uploads\/([^/]+)$/.exec(url);
+        const filePath = match && findLegacyUpload(match[1]);
+
+        if (!match) {
+          images.push(url);
+        } else if (!filePath) {
+          // Keep the dangling URL so nothing silently disappears from the campaign
+          result.imagesMissing += 1;
+          images.push(url);
+        } else {
+          const extension = path.extname(filePath).toLowerCase();
+          const { key } = await saveFile(filePath, {
+            folder: "campaign-images",
+            visibility: "public",
+            contentType: CONTENT_TYPES[extension],
+            extension,
+            keepSource: true,
+          });
+          images.push(await getPublicUrl(key));
+          result.imagesMoved += 1;
+        }
+      }
+      await campaigns.updateOne({ _id: campaign._id }, { $set: { images } });
+    }
+
+    const messageCursor = messages.find(
+      { "attachments.fileName": { $exists: true } },
+      { projection: { attachments: 1 } }
+    );
+
+    for await (const message of messageCursor) {
+      const attachments = [];
+      for (const attachment of message.attachments) {
+        if (!attachment.fileName) {
+          attachments.push(attachment);
+          continue;
+        }
+
+        const { fileName, ...rest } = attachment;
+        const filePath = path.join(LEGACY_ATTACHMENT_PATH, fileName);
+        if (!fs.existsSync(filePath)) {
+          result.attachmentsMissing += 1;
+          continue;
+        }
+
+        const { key } = await saveFile(filePath, {
+          folder: "chat-attachments",
+          visibility: "private",
+          contentType: attachment.mimeType,
+          keepSource: true,
+        });
+        attachments.push({ ...rest, key });
+        result.attachmentsMoved += 1;
+      }
+      await messages.updateOne({ _id: message._id }, { $set: { attachments } });
+    }
+
+    return result;
+  },
+};
@@ -0,0 +1,68 @@
+// Turn Campaign.images URL strings into objects with original, medium and
+// thumbnail variants. Images whose file can be read from local storage are
+// re-processed; others keep their URL as the original only.
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { getDriver } = require("../services/storage");
+const { processImage } = require("../services/imageProcessing");
+
+// Local file for a public URL, if the file is on this machine
+const localFileFor = (url) => {
+  const match = /^\/uploads\/(.+)$/.exec(url);
+  if (!match) return null;
+
+  const candidates = [path.join(__dirname, "../../uploads", match[1])];
+  const driver = getDriver();
+  if (driver.name === "local") {
+    candidates.unshift(path.join(driver.publicRoot, match[1]));
+  }
+  return candidates.find((file) => fs.existsSync(file)) || null;
+};
+
+module.exports = {
+  description: "Store campaign images as objects with resized variants",
+
+  async up(db) {
+    const campaigns = db.collection("campaigns");
+    const result = { campaignsUpdated: 0, imagesProcessed: 0, imagesKeptAsIs: 0 };
+
+    const cursor = campaigns.find(
+      { images: { $elemMatch: { $type: "string" } } },
+      { projection: { images: 1 } }
+    );
+
+    for await (const campaign of cursor) {
+      const images = [];
+      for (const image of campaign.images) {
+        if (typeof image !== "string") {
+          images.push(image);
+          continue;
+        }
+
+        const filePath = localFileFor(image);
+        let processed = null;
+        if (filePath) {
+          try {
+            processed = await processImage(filePath, { folder: "campaign-images" });
+          } catch (err) {
+            console.warn(`⚠️ Could not process ${image}: ${err.message}`);
+          }
+        }
+
+        if (processed) {
+          result.imagesProcessed += 1;
+          images.push({ _id: new mongoose.Types.ObjectId(), ...processed });
+        } else {
+          result.imagesKeptAsIs += 1;
+          images.push({ _id: new mongoose.Types.ObjectId(), original: { url: image } });
+        }
+      }
+
+      await campaigns.updateOne({ _id: campaign._id }, { $set: { images } });
+      result.campaignsUpdated += 1;
+    }
+
+    return result;
+  },
+};
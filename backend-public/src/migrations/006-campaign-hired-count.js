@@ -0,0 +1,33 @@
+// Backfill Campaign.hiredCount from the applications collection
+
+module.exports = {
+  description: "Set Campaign.hiredCount from hired applications",
+
+  async up(db) {
+    const campaigns = db.collection("campaigns");
+    const applications = db.collection("applications");
+
+    const counts = await applications
+      .aggregate([
+        { $match: { status: "hired" } },
+        { $group: { _id: "$campaign", count: { $sum: 1 } } },
+      ])
+      .toArray();
+
+    let updated = 0;
+    for (const { _id, count } of counts) {
+      const result = await campaigns.updateOne({ _id }, { $set: { hiredCount: count } });
+      updated += result.modifiedCount;
+    }
+
+    const defaulted = await campaigns.updateMany(
+      { hiredCount: { $exists: false } },
+      { $set: { hiredCount: 0, waitlistEnabled: false } }
+    );
+
+    return {
+      campaignsWithHires: updated,
+      campaignsDefaulted: defaulted.modifiedCount,
+    };
+  },
+};
@@ -0,0 +1,31 @@
+// Map legacy User.status values onto the account lifecycle in models/User.js.
+// Older accounts used pending/approved/rejected from the manual review flow.
+
+const LEGACY_STATUSES = {
+  approved: "active",
+  pending: "pending_review",
+  // Rejected accounts go back to review so they can be resubmitted
+  rejected: "pending_review",
+};
+
+module.exports = {
+  description: "Move users from pending/approved/rejected to the account lifecycle statuses",
+
+  async up(db) {
+    const users = db.collection("users");
+    const result = {};
+
+    for (const [from, to] of Object.entries(LEGACY_STATUSES)) {
+      const { modifiedCount } = await users.updateMany({ status: from }, { $set: { status: to } });
+      result[from] = modifiedCount;
+    }
+
+    const { modifiedCount } = await users.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: "active" } }
+    );
+    result.missing = modifiedCount;
+
+    return result;
+  },
+};
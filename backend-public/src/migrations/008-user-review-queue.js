@@ -0,0 +1,27 @@
+// Put accounts that were already waiting for review into the review queue
+
+module.exports = {
+  description: "Set User.review for pending_review accounts without one",
+
+  async up(db) {
+    const users = db.collection("users");
+
+    const result = await users.updateMany(
+      { status: "pending_review", "review.status": { $exists: false } },
+      [
+        {
+          $set: {
+            review: {
+              status: "pending",
+              submittedAt: "$createdAt",
+              resubmissions: 0,
+              history: [{ decision: "submitted", at: "$createdAt" }],
+            },
+          },
+        },
+      ]
+    );
+
+    return { queued: result.modifiedCount };
+  },
+};
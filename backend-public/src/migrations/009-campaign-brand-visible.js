@@ -0,0 +1,24 @@
+// Set Campaign.brandVisible from the status of each campaign's brand
+
+module.exports = {
+  description: "Set Campaign.brandVisible from the brand's account status",
+
+  async up(db) {
+    const campaigns = db.collection("campaigns");
+    const users = db.collection("users");
+
+    // Same statuses as User.VISIBLE_STATUSES
+    const visibleBrandIds = await users.distinct("_id", { role: "brand", status: "active" });
+
+    const visible = await campaigns.updateMany(
+      { brand: { $in: visibleBrandIds } },
+      { $set: { brandVisible: true } }
+    );
+    const hidden = await campaigns.updateMany(
+      { brand: { $nin: visibleBrandIds } },
+      { $set: { brandVisible: false } }
+    );
+
+    return { visible: visible.modifiedCount, hidden: hidden.modifiedCount };
+  },
+};
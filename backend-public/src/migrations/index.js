@@ -0,0 +1,55 @@
+// backend/migrations/index.js
+// Runs pending data migrations in filename order and records each one in the
+// "migrations" collection. Usage: npm run migrate [-- <migration-name>]
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const loadMigrations = () =>
+  fs
+    .readdirSync(__dirname)
+    .filter((file) => /^\d+-.+\.js$/.test(file))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, ".js"),
+      ...require(path.join(__dirname, file)),
+    }));
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    console.error("❌ MONGO_URI is not set");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("✅ Connected to MongoDB");
+
+  const applied = mongoose.connection.db.collection("migrations");
+  const onlyName = process.argv[2];
+
+  for (const migration of loadMigrations()) {
+    if (onlyName && migration.name !== onlyName) continue;
+
+    const alreadyApplied = await applied.findOne({ name: migration.name });
+    if (alreadyApplied && !onlyName) continue;
+
+    console.log(`🚚 Running migration ${migration.name}: ${migration.description}`);
+    const result = await migration.up(mongoose.connection.db);
+    await applied.updateOne(
+      { name: migration.name },
+      { $set: { name: migration.name, appliedAt: new Date(), result } },
+      { upsert: true }
+    );
+    console.log(`✅ Migration ${migration.name} done:`, result);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
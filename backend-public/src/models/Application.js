@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+
+const APPLICATION_STATUSES = [
+  "applied",
+  "shortlisted",
+  "rejected",
+  "hired",
+  "withdrawn",
+  // Applied while the campaign was full; promoted to "applied" when a slot opens
+  "waitlisted",
+];
+
+// Stage changes each side may make, keyed by current status
+const BRAND_TRANSITIONS = {
+  applied: ["shortlisted", "rejected", "hired"],
+  shortlisted: ["applied", "rejected", "hired"],
+  rejected: ["shortlisted"],
+  hired: [],
+  withdrawn: [],
+  waitlisted: ["rejected"],
+};
+
+const CREATOR_TRANSITIONS = {
+  applied: ["withdrawn"],
+  shortlisted: ["withdrawn"],
+  rejected: [],
+  hired: ["withdrawn"],
+  withdrawn: [],
+  waitlisted: ["withdrawn"],
+};
+
+const applicationSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Campaign owner, denormalized for brand-side queries
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      default: "applied",
+    },
+    pitch: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    quotedRate: {
+      amount: {
+        type: Number,
+        min: 0,
+      },
+      currency: {
+        type: String,
+        default: "USD",
+      },
+    },
+    // Note shown to the creator, e.g. the reason for a rejection
+    brandNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: APPLICATION_STATUSES,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        note: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One application per creator per campaign
+applicationSchema.index({ campaign: 1, creator: 1 }, { unique: true });
+
+// Index for a campaign's pipeline filtered by stage
+applicationSchema.index({ campaign: 1, status: 1, appliedAt: -1 });
+
+// Index for a creator's applications
+applicationSchema.index({ creator: 1, appliedAt: -1 });
+
+// Statuses that no longer count as an active application
+applicationSchema.statics.INACTIVE_STATUSES = ["withdrawn"];
+applicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+
+// Check whether a brand or creator may move the application to a status
+applicationSchema.methods.canTransitionTo = function (status, role) {
+  const transitions = role === "brand" ? BRAND_TRANSITIONS : CREATOR_TRANSITIONS;
+  return (transitions[this.status] || []).includes(status);
+};
+
+// Move the application to a new status and record it in the history
+applicationSchema.methods.transitionTo = function (status, changedBy, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note, changedAt: new Date() });
+};
+
+// Count active applications for each campaign, returned as a Map keyed by id
+applicationSchema.statics.countByCampaign = async function (campaignIds) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        campaign: { $in: campaignIds },
+        status: { $nin: this.INACTIVE_STATUSES },
+      },
+    },
+    { $group: { _id: "$campaign", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((c) => [c._id.toString(), c.count]));
+};
+
+module.exports = mongoose.model("Application", applicationSchema);
@@ -1,4 +1,18 @@
 const mongoose = require("mongoose");
+
+// One stored rendition of a campaign image
+const imageVariantSchema = new mongoose.Schema(
+  {
+    // Storage key (services/storage), used to delete the file
+    key: String,
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+    size: Number,
+  },
+  { _id: false }
+);
+
 const campaignSchema = new mongoose.Schema(
   {
     brand: {
@@ -17,29 +31,187 @@ const campaignSchema = new mongoose.Schema(
       min: Number,
       max: Number,
     },
-    images: [String],
+    // public: listed for every creator; unlisted: reachable by link only;
+    // invite_only: only for creators the brand invited
+    visibility: {
+      type: String,
+      enum: ["public", "unlisted", "invite_only"],
+      default: "public",
+    },
+    // How many creators can be hired; unset means no limit
+    slots: { type: Number, min: 1 },
+    // Maintained by services/campaignSlots
+    hiredCount: { type: Number, default: 0, min: 0 },
+    // When full, new applicants join a waitlist instead of being turned away
+    waitlistEnabled: { type: Boolean, default: false },
+    // Whether the brand is visible to others (User.visibleFilter). Kept in
+    // sync by Campaign.syncBrandVisibility whenever a user's status changes.
+    brandVisible: { type: Boolean, default: true },
+    // Who may apply (services/eligibility). Unset rules and empty lists mean "any".
+    eligibility: {
+      minFollowers: { type: Number, min: 0 },
+      maxFollowers: { type: Number, min: 0 },
+      minEngagementRate: { type: Number, min: 0 },
+      cities: [{ type: String, trim: true, lowercase: true }],
+      states: [{ type: String, trim: true, lowercase: true }],
+      niches: [{ type: String, trim: true, lowercase: true }],
+    },
+    // Cleaned original plus resized variants (services/imageProcessing)
+    images: [
+      {
+        original: { type: imageVariantSchema, required: true },
+        medium: imageVariantSchema,
+        thumbnail: imageVariantSchema,
+      },
+    ],
+    // What hired creators must post
+    deliverables: [
+      {
+        type: {
+          type: String,
+          enum: ["reel", "story", "post"],
+          required: true,
+        },
+        title: {
+          type: String,
+          trim: true,
+          maxlength: 200,
+        },
+        brief: {
+          type: String,
+          trim: true,
+          maxlength: 2000,
+        },
+        dueDate: Date,
+      },
+    ],
     status: {
       type: String,
       enum: ["draft", "active", "expired", "cancelled"],
       default: "active",
     },
-    appliedCreators: [{
-      creator: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-        required: true,
+    // Edits made after creation, oldest first
+    changeHistory: [
+      {
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        changes: [
+          {
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed,
+          },
+        ],
       },
-      appliedAt: {
-        type: Date,
-        default: Date.now,
-      },
-    }],
+    ],
   },
   { timestamps: true }
 );
 
-// Index for querying applied creators
-campaignSchema.index({ "appliedCreators.creator": 1 });
 campaignSchema.index({ brand: 1, status: 1 });
 
+// Index for listing active campaigns of visible brands
+campaignSchema.index({ status: 1, brandVisible: 1, createdAt: -1 });
+
+// Indexes for the lifecycle scheduler
+campaignSchema.index({ status: 1, startDate: 1 });
+campaignSchema.index({ status: 1, endDate: 1 });
+
+// Full-text search for GET /api/campaigns/all, weighted towards the name
+campaignSchema.index(
+  { name: "text", niche: "text", city: "text", description: "text" },
+  {
+    name: "campaign_text_search",
+    weights: { name: 10, niche: 5, city: 5, description: 1 },
+  }
+);
+
+// Initial status for a new campaign based on its schedule
+campaignSchema.statics.initialStatusFor = function (startDate, now = new Date()) {
+  return startDate && startDate > now ? "draft" : "active";
+};
+
+// Fields a brand can edit after creation
+campaignSchema.statics.EDITABLE_FIELDS = [
+  "name",
+  "niche",
+  "city",
+  "description",
+  "startDate",
+  "endDate",
+  "rewardType",
+  "budgetRange",
+  "eligibility",
+  "slots",
+  "waitlistEnabled",
+  "visibility",
+];
+
+// Fields that cannot change once creators have applied
+campaignSchema.statics.MATERIAL_FIELDS = ["rewardType", "budgetRange"];
+
+// Slots still open, or null when the campaign has no limit
+campaignSchema.methods.availableSlots = function () {
+  return this.slots ? Math.max(0, this.slots - (this.hiredCount || 0)) : null;
+};
+
+// A full campaign no longer takes applications (except onto the waitlist)
+campaignSchema.methods.isFull = function () {
+  return this.availableSlots() === 0;
+};
+
+// Campaigns listed in GET /api/campaigns/all for everyone (older campaigns
+// without a visibility are public)
+campaignSchema.statics.listedFilter = function () {
+  return { visibility: { $nin: ["unlisted", "invite_only"] } };
+};
+
+// Query fragment for campaigns whose brand others may see; campaigns of
+// suspended, banned or deactivated brands are hidden (see User.visibleFilter)
+campaignSchema.statics.visibleBrandFilter = function () {
+  return { brandVisible: { $ne: false } };
+};
+
+campaignSchema.methods.hasVisibleBrand = function () {
+  return this.brandVisible !== false;
+};
+
+// Update brandVisible on the campaigns of the given users after their status
+// changed. Ids of users who are not brands are ignored.
+campaignSchema.statics.syncBrandVisibility = async function (userIds) {
+  if (userIds.length === 0) return;
+
+  const User = mongoose.model("User");
+  const visibleIds = await User.distinct("_id", {
+    _id: { $in: userIds },
+    ...User.visibleFilter(),
+  });
+  const visible = new Set(visibleIds.map(String));
+  const hiddenIds = userIds.filter((userId) => !visible.has(userId.toString()));
+
+  await Promise.all([
+    this.updateMany({ brand: { $in: visibleIds }, brandVisible: false }, { brandVisible: true }),
+    this.updateMany({ brand: { $in: hiddenIds }, brandVisible: { $ne: false } }, { brandVisible: false }),
+  ]);
+};
+
+// Most images a campaign can have; the first one is the cover
+campaignSchema.statics.MAX_IMAGES = 10;
+
+// Storage keys of every file behind the given images
+campaignSchema.statics.imageKeys = function (images) {
+  return images.flatMap((image) =>
+    ["original", "medium", "thumbnail"]
+      .map((variant) => image[variant]?.key)
+      .filter(Boolean)
+  );
+};
+
 module.exports = mongoose.model("Campaign", campaignSchema);
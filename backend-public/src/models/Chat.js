@@ -38,6 +38,25 @@ const chatSchema = new mongoose.Schema(
       enum: ["discussing", "offer_sent", "accepted", "declined", "completed"],
       default: "discussing",
     },
+    // Per-participant read marker: everything up to lastReadMessage has been read
+    readState: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        lastReadMessage: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+        },
+        lastReadAt: {
+          type: Date,
+          required: true,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
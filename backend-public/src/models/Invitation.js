@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+const INVITATION_STATUSES = ["pending", "accepted", "declined", "revoked"];
+
+const invitationSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    // Campaign owner, denormalized for brand-side queries
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: "pending",
+    },
+    // Personal note from the brand
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    respondedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One invitation per creator per campaign (re-inviting re-opens it)
+invitationSchema.index({ campaign: 1, creator: 1 }, { unique: true });
+
+// Index for a creator's inbox
+invitationSchema.index({ creator: 1, status: 1, invitedAt: -1 });
+
+// Index for a campaign's invitations filtered by status
+invitationSchema.index({ campaign: 1, status: 1 });
+
+invitationSchema.statics.STATUSES = INVITATION_STATUSES;
+
+// Invitations that give access to an invite-only campaign
+invitationSchema.statics.ACTIVE_STATUSES = ["pending", "accepted"];
+
+// Campaign ids the creator has been invited to
+invitationSchema.statics.invitedCampaignIds = function (creatorId) {
+  return this.distinct("campaign", {
+    creator: creatorId,
+    status: { $in: this.ACTIVE_STATUSES },
+  });
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Earliest time the job may run (used for delays and retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lastError: String,
+    completedAt: Date,
+    failedAt: Date,
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// Index for claiming the next runnable job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Index for recovering jobs left running by a crashed worker
+jobSchema.index({ status: 1, lockedAt: 1 });
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -14,15 +14,51 @@ const messageSchema = new mongoose.Schema(
     },
     content: {
       type: String,
-      required: true,
+      // Attachment-only messages may have no text
+      required: function () {
+        return !this.attachments || this.attachments.length === 0;
+      },
       trim: true,
       maxlength: 2000,
     },
+    // Files shared in the chat. Stored privately (services/storage) and only
+    // reachable through signed URLs handed out to chat participants
+    attachments: [
+      {
+        key: {
+          type: String,
+          required: true,
+        },
+        originalName: {
+          type: String,
+          required: true,
+          maxlength: 255,
+        },
+        mimeType: {
+          type: String,
+          required: true,
+        },
+        kind: {
+          type: String,
+          enum: ["image", "pdf", "video"],
+          required: true,
+        },
+        size: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
     messageType: {
       type: String,
       enum: ["text", "offer", "system"],
       default: "text",
     },
+    // Client-generated ID used to de-duplicate retried sends
+    clientMessageId: {
+      type: String,
+      maxlength: 100,
+    },
     // For offer messages
     offerDetails: {
       amount: Number,
@@ -32,29 +68,40 @@ const messageSchema = new mongoose.Schema(
       },
       description: String,
       deadline: Date,
+      status: {
+        type: String,
+        enum: ["pending", "countered", "accepted", "declined", "withdrawn"],
+      },
+      // The offer this one counters, if any
+      counterOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+      respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      respondedAt: Date,
     },
-    // Message status
+    // Delivery status. Read state is tracked per participant on the chat
     status: {
       type: String,
-      enum: ["sent", "delivered", "read"],
+      enum: ["sent", "delivered"],
       default: "sent",
     },
-    readBy: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-        },
-        readAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
     // For system messages (like "Brand started this conversation")
     systemMessageType: {
       type: String,
-      enum: ["chat_started", "offer_sent", "offer_accepted", "offer_declined"],
+      enum: [
+        "chat_started",
+        "offer_sent",
+        "offer_accepted",
+        "offer_declined",
+        "offer_withdrawn",
+        "deliverable_submitted",
+        "deliverable_approved",
+        "deliverable_changes_requested",
+      ],
     },
   },
   {
@@ -65,8 +112,20 @@ const messageSchema = new mongoose.Schema(
 // Index for querying messages in a chat
 messageSchema.index({ chat: 1, createdAt: -1 });
 
-// Index for unread messages
-messageSchema.index({ chat: 1, status: 1 });
+// Index for unread counts (messages from others after a read marker)
+messageSchema.index({ chat: 1, sender: 1, createdAt: 1 });
+
+// Index for finding the open offer in a chat
+messageSchema.index({ chat: 1, messageType: 1, "offerDetails.status": 1 });
+
+// A client message ID can only be used once per sender in a chat
+messageSchema.index(
+  { chat: 1, sender: 1, clientMessageId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { clientMessageId: { $type: "string" } },
+  }
+);
 
 // Index for sender queries
 messageSchema.index({ sender: 1, createdAt: -1 });
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const metricsSnapshotSchema = new mongoose.Schema(
+  {
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    takenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Where the snapshot came from
+    source: {
+      type: String,
+      enum: ["onboarding", "scheduled"],
+      default: "scheduled",
+    },
+    followers: Number,
+    totalUploads: Number,
+    avgLikes: Number,
+    avgComments: Number,
+    postsPerWeek: Number,
+    engagementRate: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for a creator's history in chronological order
+metricsSnapshotSchema.index({ creator: 1, takenAt: -1 });
+
+// Build a snapshot document from scraped profile data
+metricsSnapshotSchema.statics.fromScrapedData = function (
+  creatorId,
+  scrapedData,
+  source = "scheduled"
+) {
+  return new this({
+    creator: creatorId,
+    source,
+    followers: scrapedData.followers,
+    totalUploads: scrapedData.totalUploads,
+    avgLikes: scrapedData.avgLikes,
+    avgComments: scrapedData.avgComments,
+    postsPerWeek: scrapedData.postsPerWeek,
+    engagementRate: scrapedData.engagementRate,
+  });
+};
+
+module.exports = mongoose.model("MetricsSnapshot", metricsSnapshotSchema);
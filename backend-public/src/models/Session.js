@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. The refresh token is rotated on every use; only the
+// hash of the current one is stored (services/authTokens).
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    // logout, revoked, refresh_token_reuse, banned, password_reset, ...
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Expired sessions are removed by MongoDB. Revoked ones are kept until then so
+// a reused refresh token is still recognised.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+const SUBMISSION_STATUSES = [
+  "not_started",
+  "draft_submitted",
+  "changes_requested",
+  "draft_approved",
+  "final_submitted",
+  "approved",
+];
+
+const submissionSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    // _id of the entry in Campaign.deliverables
+    deliverable: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: SUBMISSION_STATUSES,
+      default: "not_started",
+    },
+    // Every draft or final version the creator sent, newest last
+    revisions: [
+      {
+        kind: {
+          type: String,
+          enum: ["draft", "final"],
+          required: true,
+        },
+        url: {
+          type: String,
+          trim: true,
+          required: true,
+        },
+        notes: {
+          type: String,
+          trim: true,
+          maxlength: 2000,
+        },
+        submittedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        decision: {
+          type: String,
+          enum: ["approved", "changes_requested"],
+        },
+        feedback: {
+          type: String,
+          trim: true,
+          maxlength: 2000,
+        },
+        reviewedAt: Date,
+      },
+    ],
+    finalPostUrl: String,
+    approvedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One submission thread per creator per deliverable
+submissionSchema.index(
+  { campaign: 1, deliverable: 1, creator: 1 },
+  { unique: true }
+);
+
+// Index for a creator's submissions on a campaign
+submissionSchema.index({ campaign: 1, creator: 1 });
+
+// Statuses from which the creator may send each kind of revision
+const SUBMITTABLE_FROM = {
+  draft: ["not_started", "draft_submitted", "changes_requested"],
+  final: ["not_started", "changes_requested", "draft_approved"],
+};
+
+submissionSchema.statics.STATUSES = SUBMISSION_STATUSES;
+
+submissionSchema.methods.canSubmit = function (kind) {
+  return (SUBMITTABLE_FROM[kind] || []).includes(this.status);
+};
+
+// The brand can only review a revision that is waiting for review
+submissionSchema.methods.isAwaitingReview = function () {
+  return ["draft_submitted", "final_submitted"].includes(this.status);
+};
+
+submissionSchema.methods.latestRevision = function () {
+  return this.revisions[this.revisions.length - 1];
+};
+
+module.exports = mongoose.model("Submission", submissionSchema);
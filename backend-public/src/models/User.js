@@ -158,6 +158,20 @@
 // userSchema.index({ instaUsername: 1 });// backend/models/User.js
 const mongoose = require("mongoose");
 
+// Account lifecycle:
+//   pending_review - signed up, waiting for an admin (can log in, hidden from others)
+//   active         - approved and visible to brands and creators
+//   suspended      - temporarily blocked by an admin
+//   banned         - permanently blocked by an admin
+//   deactivated    - closed by the user
+const USER_STATUSES = ["pending_review", "active", "suspended", "banned", "deactivated"];
+
+// Statuses shown to other users (profiles, search, chats, invitations)
+const VISIBLE_STATUSES = ["active"];
+
+// Statuses that may log in and use the API
+const LOGIN_STATUSES = ["pending_review", "active"];
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -239,7 +253,7 @@ const userSchema = new mongoose.Schema(
     // Common fields
     status: {
       type: String,
-      enum: ["active", "banned"],
+      enum: USER_STATUSES,
       default: "active",
     },
     scrapedData: {
@@ -248,11 +262,12 @@ const userSchema = new mongoose.Schema(
       avgLikes: Number,
       avgComments: Number,
       postsPerWeek: Number,
-      engagementRate: String,
+      engagementRate: Number, // Percentage, e.g. 2.35
       profileHD: String,
       post1: String,
       post2: String,
       post3: String,
+      lastScrapedAt: Date,
     },
     banReason: {
       type: String,
@@ -277,8 +292,66 @@ const userSchema = new mongoose.Schema(
       verifiedAt: Date,
       commentedAt: Date,
     },
+
+    // Background onboarding state for creators (comment verification + scrape)
+    onboarding: {
+      status: {
+        type: String,
+        enum: ["pending_verification", "completed", "failed"],
+      },
+      stage: {
+        type: String,
+        enum: ["comment_verification", "profile_scrape"],
+      },
+      error: String,
+      startedAt: Date,
+      completedAt: Date,
+    },
+    // Admin review of a new account (services/accountReview). The account
+    // stays pending_review until approved; rejected users may resubmit.
+    review: {
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      // Shown to the user when rejected
+      note: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+      },
+      autoApproved: Boolean,
+      resubmissions: { type: Number, default: 0 },
+      history: [
+        {
+          _id: false,
+          decision: {
+            type: String,
+            enum: ["submitted", "approved", "rejected"],
+          },
+          note: String,
+          reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          auto: Boolean,
+          at: { type: Date, default: Date.now },
+        },
+      ],
+    },
     resetToken: String,
     resetTokenExpiry: Date,
+    // Incremented to invalidate every issued token (services/authTokens)
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -315,10 +388,38 @@ userSchema.statics.isInstaUsernameAvailable = async function (
   return !existingUser;
 };
 
+userSchema.statics.STATUSES = USER_STATUSES;
+userSchema.statics.VISIBLE_STATUSES = VISIBLE_STATUSES;
+userSchema.statics.LOGIN_STATUSES = LOGIN_STATUSES;
+
+// Query fragment for users other people may see, e.g.
+// User.find({ role: "creator", ...User.visibleFilter() })
+userSchema.statics.visibleFilter = function () {
+  return { status: { $in: VISIBLE_STATUSES } };
+};
+
+// Query fragment for users allowed to log in
+userSchema.statics.loginAllowedFilter = function () {
+  return { status: { $in: LOGIN_STATUSES } };
+};
+
+userSchema.methods.isVisible = function () {
+  return VISIBLE_STATUSES.includes(this.status);
+};
+
+userSchema.methods.canLogIn = function () {
+  return LOGIN_STATUSES.includes(this.status);
+};
+
 userSchema.index({ email: 1 });
 userSchema.index({ instaUsername: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ contactNumber: 1 });
+userSchema.index({ role: 1, "scrapedData.lastScrapedAt": 1 });
+// Index for the admin review queue
+userSchema.index({ status: 1, "review.status": 1, "review.submittedAt": 1 });
+userSchema.index({ role: 1, status: 1, "scrapedData.engagementRate": -1 });
+userSchema.index({ role: 1, status: 1, "scrapedData.followers": -1 });
 
 module.exports = mongoose.model("User", userSchema);
 
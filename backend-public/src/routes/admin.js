@@ -784,8 +784,36 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
+const Campaign = require("../models/Campaign");
 
 const { authenticate, authorizeRoles } = require("../middleware/auth");
+const { revokeUserSessions } = require("../services/authTokens");
+const { queueMailSafely } = require("../jobs/mail");
+const {
+  MAX_RESUBMISSIONS,
+  getAutoApprovalRules,
+  evaluateAutoApproval,
+  decideReview,
+} = require("../services/accountReview");
+
+// Statuses an admin can set directly; reviews and deactivation have their own flows
+const ADMIN_SETTABLE_STATUSES = ["active", "suspended", "banned"];
+
+// { pending_review: 0, active: 0, ... } for stats responses
+const emptyStatusCounts = () =>
+  Object.fromEntries(User.STATUSES.map((status) => [status, 0]));
+
+// Email banned or suspended users the reason they were signed out
+const sendBanNotices = (users, status, reason) =>
+  Promise.all(
+    users.map((user) =>
+      queueMailSafely(user.email, "accountBanned", {
+        name: user.role === "brand" ? user.brandName : user.instaUsername,
+        status,
+        reason,
+      })
+    )
+  );
 
 // ============ CREATOR ROUTES ============
 
@@ -900,6 +928,8 @@ router.patch(
       creator.bannedBy = req.user.id; // Admin who banned the user
 
       await creator.save();
+      await revokeUserSessions(req.app.get("io"), [creator._id], "banned");
+      await sendBanNotices([creator], "banned", creator.banReason);
 
       res.status(200).json({
         message: "Creator banned successfully",
@@ -983,8 +1013,7 @@ router.get(
 
       const statsObj = {
         total: totalCreators,
-        active: 0,
-        banned: 0,
+        ...emptyStatusCounts(),
       };
 
       stats.forEach((stat) => {
@@ -1017,7 +1046,7 @@ router.get(
 
       const query = { role: "creator" };
 
-      if (status && ["active", "banned"].includes(status)) {
+      if (status && User.STATUSES.includes(status)) {
         query.status = status;
       }
 
@@ -1165,6 +1194,9 @@ router.patch(
       brand.bannedBy = req.user.id;
 
       await brand.save();
+      await revokeUserSessions(req.app.get("io"), [brand._id], "banned");
+      await Campaign.syncBrandVisibility([brand._id]);
+      await sendBanNotices([brand], "banned", brand.banReason);
 
       res.status(200).json({
         message: "Brand banned successfully",
@@ -1209,6 +1241,7 @@ router.patch(
       brand.bannedBy = undefined;
 
       await brand.save();
+      await Campaign.syncBrandVisibility([brand._id]);
 
       res.status(200).json({
         message: "Brand unbanned successfully",
@@ -1248,8 +1281,7 @@ router.get(
 
       const statsObj = {
         total: totalBrands,
-        active: 0,
-        banned: 0,
+        ...emptyStatusCounts(),
       };
 
       stats.forEach((stat) => {
@@ -1282,7 +1314,7 @@ router.get(
 
       const query = { role: "brand" };
 
-      if (status && ["active", "banned"].includes(status)) {
+      if (status && User.STATUSES.includes(status)) {
         query.status = status;
       }
 
@@ -1325,6 +1357,140 @@ router.get(
   }
 );
 
+// ============ REVIEW QUEUE ============
+
+// GET /api/admin/review-queue - Accounts waiting for review, oldest first
+// Query: role (creator|brand), state (pending|rejected), page, limit
+router.get(
+  "/review-queue",
+  authenticate,
+  authorizeRoles("admin"),
+  async (req, res) => {
+    try {
+      const { role, state = "pending", page = 1, limit = 20 } = req.query;
+
+      if (!["pending", "rejected"].includes(state)) {
+        return res.status(400).json({ error: "state must be 'pending' or 'rejected'" });
+      }
+
+      const query = {
+        role: { $in: ["creator", "brand"] },
+        status: "pending_review",
+        "review.status": state,
+      };
+      if (role && ["creator", "brand"].includes(role)) {
+        query.role = role;
+      }
+
+      const pageNumber = Math.max(1, parseInt(page) || 1);
+      const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+      const [users, totalCount] = await Promise.all([
+        User.find(query)
+          .select("-password -resetToken -resetTokenExpiry")
+          .sort({ "review.submittedAt": 1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        User.countDocuments(query),
+      ]);
+
+      const rules = getAutoApprovalRules();
+      const totalPages = Math.ceil(totalCount / pageSize);
+
+      res.status(200).json({
+        users: users.map((user) => ({
+          ...user.toObject(),
+          // Why the auto-approval rules did not approve this account
+          autoApproval: evaluateAutoApproval(user, rules),
+        })),
+        pagination: {
+          currentPage: pageNumber,
+          totalPages,
+          totalCount,
+          hasNext: pageNumber < totalPages,
+          hasPrev: pageNumber > 1,
+        },
+      });
+    } catch (err) {
+      console.error("Error fetching review queue:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/admin/review-queue/rules - Current auto-approval rules
+router.get(
+  "/review-queue/rules",
+  authenticate,
+  authorizeRoles("admin"),
+  (req, res) => {
+    res.status(200).json({
+      rules: getAutoApprovalRules(),
+      maxResubmissions: MAX_RESUBMISSIONS,
+    });
+  }
+);
+
+// Approve or reject an account in the review queue
+const reviewAccount = (decision) => async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const note = typeof req.body.note === "string" ? req.body.note.trim() : "";
+
+    if (decision === "rejected" && !note) {
+      return res.status(400).json({
+        error: "A note explaining the rejection is required",
+      });
+    }
+    if (note.length > 1000) {
+      return res.status(400).json({ error: "Note cannot exceed 1000 characters" });
+    }
+
+    const user = await decideReview(req.app.get("io"), userId, {
+      decision,
+      note: note || undefined,
+      reviewedBy: req.user._id,
+    });
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId, role: { $in: ["creator", "brand"] } });
+      return exists
+        ? res.status(409).json({ error: "Account is not waiting for review" })
+        : res.status(404).json({ error: "User not found" });
+    }
+
+    res.status(200).json({
+      message: `${user.role} ${decision} successfully`,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        review: user.review,
+      },
+    });
+  } catch (err) {
+    console.error(`Error reviewing account (${decision}):`, err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// PATCH /api/admin/review-queue/:userId/approve - Approve an account
+router.patch(
+  "/review-queue/:userId/approve",
+  authenticate,
+  authorizeRoles("admin"),
+  reviewAccount("approved")
+);
+
+// PATCH /api/admin/review-queue/:userId/reject - Reject an account with a note
+router.patch(
+  "/review-queue/:userId/reject",
+  authenticate,
+  authorizeRoles("admin"),
+  reviewAccount("rejected")
+);
+
 // ============ COMBINED ROUTES ============
 
 // GET /api/admin/users/stats - Get combined user statistics
@@ -1350,8 +1516,8 @@ router.get(
 
       const statsObj = {
         total: totalUsers,
-        creators: { total: 0, active: 0, banned: 0 },
-        brands: { total: 0, active: 0, banned: 0 },
+        creators: { total: 0, ...emptyStatusCounts() },
+        brands: { total: 0, ...emptyStatusCounts() },
       };
 
       stats.forEach((stat) => {
@@ -1461,13 +1627,22 @@ router.patch(
         updateData.$unset = { bannedAt: "", bannedBy: "" };
       }
 
-      const result = await User.updateMany(
-        {
-          _id: { $in: userIds },
-          role: { $in: ["creator", "brand"] },
-        },
-        updateData
-      );
+      const targetQuery = {
+        _id: { $in: userIds },
+        role: { $in: ["creator", "brand"] },
+      };
+      const targets =
+        action === "ban"
+          ? await User.find({ ...targetQuery, status: { $ne: "banned" } })
+              .select("email role brandName instaUsername")
+          : [];
+
+      const result = await User.updateMany(targetQuery, updateData);
+      await Campaign.syncBrandVisibility(await User.distinct("_id", { ...targetQuery, role: "brand" }));
+
+      // Banned users lose their tokens and live sockets right away
+      await revokeUserSessions(req.app.get("io"), targets.map((user) => user._id), "banned");
+      await sendBanNotices(targets, "banned", updateData.banReason);
 
       res.status(200).json({
         message: `Successfully ${action === "ban" ? "banned" : "unbanned"} ${result.modifiedCount} users`,
@@ -1490,15 +1665,15 @@ router.patch(
       const { userId } = req.params;
       const { status, banReason } = req.body;
 
-      if (!["active", "banned"].includes(status)) {
+      if (!ADMIN_SETTABLE_STATUSES.includes(status)) {
         return res.status(400).json({
-          error: "Invalid status. Must be 'active' or 'banned'",
+          error: "Invalid status. Must be 'active', 'suspended' or 'banned'",
         });
       }
 
-      if (status === "banned" && (!banReason || banReason.trim() === "")) {
+      if (status !== "active" && (!banReason || banReason.trim() === "")) {
         return res.status(400).json({
-          error: "Ban reason is required when banning a user",
+          error: `A reason is required when setting a user to ${status}`,
         });
       }
 
@@ -1510,20 +1685,25 @@ router.patch(
 
       user.status = status;
 
-      if (status === "banned") {
+      if (status !== "active") {
         user.banReason = banReason.trim();
         user.bannedAt = new Date();
         user.bannedBy = req.user.id;
-      } else if (status === "active") {
+      } else {
         user.banReason = "";
         user.bannedAt = undefined;
         user.bannedBy = undefined;
       }
 
       await user.save();
+      await Campaign.syncBrandVisibility([user._id]);
+      if (status !== "active") {
+        await revokeUserSessions(req.app.get("io"), [user._id], status);
+        await sendBanNotices([user], status, user.banReason);
+      }
 
       res.status(200).json({
-        message: `${user.role} ${status === "banned" ? "banned" : "unbanned"} successfully`,
+        message: `${user.role} ${status === "active" ? "unbanned" : status} successfully`,
         user: {
           id: user._id,
           email: user.email,
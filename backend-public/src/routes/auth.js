@@ -867,10 +867,23 @@
 // backend/routes/auth.js
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const User = require("../models/User");
-const { ApifyClient } = require("apify-client");
+const Session = require("../models/Session");
+const { startOnboarding } = require("../jobs/onboarding");
+const { queueMail, queueMailSafely } = require("../jobs/mail");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  revokeUserSessions,
+} = require("../services/authTokens");
+const {
+  MAX_RESUBMISSIONS,
+  submitForReview,
+  autoApproveIfEligible,
+} = require("../services/accountReview");
+const { authenticate, authorizeRoles } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -880,197 +893,6 @@ router.use((req, res, next) => {
   next();
 });
 
-const apifyClient = new ApifyClient({
-  token: `${process.env.APIFY_API_TOKEN}`,
-});
-
-// Function to scrape Instagram post comments
-async function scrapeInstagramComments(postUrl) {
-  try {
-    console.log(`🔍 Starting Instagram comment scrape for post: ${postUrl}`);
-
-    const input = {
-      directUrls: [postUrl],
-      resultsLimit: 100, // Increase limit to get more comments
-    };
-
-    const run = await apifyClient.actor("SbK00X0JYCPblD2wp").call(input);
-    const { items } = await apifyClient
-      .dataset(run.defaultDatasetId)
-      .listItems();
-
-    if (items.length === 0) {
-      console.log("❌ No data found for the Instagram post");
-      return { success: false, comments: [], error: "Post not found or no comments" };
-    }
-
-    const postData = items[0];
-    const comments = postData.comments || [];
-
-    console.log(`✅ Successfully scraped ${comments.length} comments`);
-    return { success: true, comments, postData };
-  } catch (error) {
-    console.error("❌ Error during Instagram comment scrape:", error.message);
-    return { success: false, comments: [], error: error.message };
-  }
-}
-
-// Function to verify if user commented with product name
-async function verifyUserComment(instaUsername, postUrl, requiredProductName) {
-  try {
-    console.log(`🔍 Verifying comment by @${instaUsername} for product: ${requiredProductName}`);
-
-    const scrapeResult = await scrapeInstagramComments(postUrl);
-    
-    if (!scrapeResult.success) {
-      return {
-        verified: false,
-        error: scrapeResult.error,
-        message: "Failed to scrape comments from the post"
-      };
-    }
-
-    const { comments } = scrapeResult;
-    
-    // Clean the username (remove @ if present)
-    const cleanUsername = instaUsername.replace(/^@/, "").toLowerCase().trim();
-    const productNameLower = requiredProductName.toLowerCase().trim();
-
-    // Find comments by the user
-    const userComments = comments.filter(comment => {
-      const commentUsername = comment.ownerUsername?.toLowerCase().trim();
-      return commentUsername === cleanUsername;
-    });
-
-    if (userComments.length === 0) {
-      return {
-        verified: false,
-        message: `No comments found by @${instaUsername} on this post`,
-        totalComments: comments.length
-      };
-    }
-
-    // Check if any of the user's comments contain the product name
-    const verifiedComment = userComments.find(comment => {
-      const commentText = comment.text?.toLowerCase().trim() || "";
-      return commentText.includes(productNameLower);
-    });
-
-    if (verifiedComment) {
-      console.log(`✅ Verification successful! Found comment: "${verifiedComment.text}"`);
-      return {
-        verified: true,
-        message: "Comment verification successful",
-        comment: verifiedComment.text,
-        commentedAt: verifiedComment.timestamp,
-        userComments: userComments.length,
-        totalComments: comments.length
-      };
-    } else {
-      return {
-        verified: false,
-        message: `@${instaUsername} commented on the post but didn't mention "${requiredProductName}"`,
-        userComments: userComments.map(c => c.text),
-        totalComments: comments.length
-      };
-    }
-  } catch (error) {
-    console.error("❌ Error during comment verification:", error.message);
-    return {
-      verified: false,
-      error: error.message,
-      message: "Error occurred during comment verification"
-    };
-  }
-}
-async function scrapeInstagramData(instaUsername) {
-  try {
-    console.log(`🔍 Starting Instagram scrape for: ${instaUsername}`);
-
-    // Clean the username (remove @ if present)
-    const cleanUsername = instaUsername.replace(/^@/, "").toLowerCase().trim();
-
-    const input = {
-      usernames: [cleanUsername],
-    };
-
-    const run = await apifyClient.actor("dSCLg0C3YEZ83HzYX").call(input);
-    const { items } = await apifyClient
-      .dataset(run.defaultDatasetId)
-      .listItems();
-
-    if (items.length === 0) {
-      console.log("❌ Instagram username not found:", cleanUsername);
-      return { exists: false, data: null };
-    }
-
-    const profile = items[0];
-    const followers = Number(profile.followersCount) || 0;
-    const totalUploads = Number(profile.postsCount) || 0;
-    const profilePicHD = profile.profilePicUrlHD || "";
-    const posts = profile.latestPosts || [];
-
-    let totalLikes = 0;
-    let totalComments = 0;
-    let totalEngagement = 0;
-    let postDates = [];
-
-    posts.forEach((post) => {
-      const likes = Number(post.likesCount) || 0;
-      const comments = Number(post.commentsCount) || 0;
-      const timestamp = post.timestamp ? new Date(post.timestamp) : null;
-
-      totalLikes += likes;
-      totalComments += comments;
-      if (timestamp) postDates.push(timestamp);
-
-      if (followers > 0) {
-        const engagement = ((likes + comments) / followers) * 100;
-        totalEngagement += engagement;
-      }
-    });
-
-    const postCount = posts.length;
-    const avgLikes = postCount ? Math.round(totalLikes / postCount) : 0;
-    const avgComments = postCount ? Math.round(totalComments / postCount) : 0;
-    const engagementRate = postCount
-      ? (totalEngagement / postCount).toFixed(2)
-      : "0.00";
-
-    let postsPerWeek = 0;
-    if (postDates.length >= 2) {
-      postDates.sort((a, b) => b - a);
-      const durationWeeks =
-        (postDates[0] - postDates[postDates.length - 1]) /
-        (1000 * 60 * 60 * 24 * 7);
-      postsPerWeek =
-        durationWeeks > 0
-          ? Number((postCount / durationWeeks).toFixed(2))
-          : postCount;
-    }
-
-    const topPostLinks = posts.slice(0, 3).map((p) => p.displayUrl || "");
-
-    const scrapedData = {
-      followers,
-      totalUploads,
-      avgLikes,
-      avgComments,
-      postsPerWeek,
-      engagementRate,
-      profileHD: profilePicHD,
-      post1: topPostLinks[0] || "",
-      post2: topPostLinks[1] || "",
-      post3: topPostLinks[2] || "",
-    };
-
-    console.log("✅ Instagram scrape completed successfully");
-    return { exists: true, data: scrapedData };
-  } catch (error) {
-    console.error("❌ Error during Instagram scrape:", error.message);
-    return { exists: false, data: null, error: error.message };
-  }
-}
 // POST /signup
 router.post("/signup", async (req, res) => {
   try {
@@ -1214,58 +1036,9 @@ router.post("/signup", async (req, res) => {
       }
     }
 
-    // === Comment verification for creators ===
-    let commentVerificationResult = null;
-    if (role === "creator" && normalizedInstaUsername && verificationPostUrl && productName) {
-      console.log("🔍 Starting comment verification process...");
-      
-      commentVerificationResult = await verifyUserComment(
-        normalizedInstaUsername,
-        verificationPostUrl,
-        productName.trim()
-      );
-
-      if (!commentVerificationResult.verified) {
-        return res.status(400).json({
-          error: "Comment verification failed",
-          field: "commentVerification",
-          details: commentVerificationResult.message,
-          verificationData: {
-            userComments: commentVerificationResult.userComments || [],
-            totalComments: commentVerificationResult.totalComments || 0,
-            requiredProductName: productName.trim()
-          },
-          instructions: `Please comment "${productName.trim()}" on the Instagram post and try again`
-        });
-      }
-
-      console.log("✅ Comment verification successful!");
-    }
     // === Hash password ===
     const hashedPassword = await bcrypt.hash(password, 12);
 
-    // === Scrape Instagram data for creators and validate username ===
-    let scrapedData = null;
-    if (role === "creator" && normalizedInstaUsername) {
-      console.log("🔍 Validating Instagram username and scraping data...");
-      const scrapeResult = await scrapeInstagramData(normalizedInstaUsername);
-
-      if (!scrapeResult.exists) {
-        return res.status(400).json({
-          error: "Instagram username not found or does not exist",
-          field: "instaUsername",
-          details:
-            scrapeResult.error ||
-            "The provided Instagram username could not be found",
-        });
-      }
-
-      scrapedData = scrapeResult.data;
-      console.log(
-        "✅ Instagram username validated and data scraped successfully"
-      );
-    }
-
     // === Create new user ===
     const newUser = new User({
       email: normalizedEmail,
@@ -1288,28 +1061,38 @@ router.post("/signup", async (req, res) => {
         contactNumber: normalizedContactNumber,
         instaUsername: normalizedInstaUsername,
         niche: niche?.trim(),
-        ...(scrapedData && { scrapedData }),
-        // Store comment verification data
-        ...(commentVerificationResult && {
-          commentVerification: {
-            verified: true,
-            postUrl: verificationPostUrl,
-            productName: productName.trim(),
-            comment: commentVerificationResult.comment,
-            verifiedAt: new Date(),
-            commentedAt: commentVerificationResult.commentedAt
-          }
-        }),
+        // Verified in the background by the onboarding jobs
+        commentVerification: {
+          verified: false,
+          postUrl: verificationPostUrl,
+          productName: productName.trim(),
+        },
       }),
     });
 
-    await newUser.save();
+    // New accounts wait for admin review (or the auto-approval rules)
+    submitForReview(newUser);
+
+    // === Save user (creators are queued for background onboarding) ===
+    let createdUser = newUser;
+    if (role === "creator") {
+      await startOnboarding(newUser);
+    } else {
+      await newUser.save();
+      createdUser = (await autoApproveIfEligible(req.app.get("io"), newUser)) || newUser;
+    }
+
+    await queueMailSafely(newUser.email, "welcome", {
+      name: role === "brand" ? newUser.brandName : newUser.instaUsername,
+      role,
+      status: createdUser.status,
+    });
 
     // === Success response ===
     const responseData = {
       message:
         role === "creator"
-          ? "Creator profile registered successfully"
+          ? "Creator profile registered successfully. Instagram verification is in progress"
           : role === "brand"
           ? "Brand profile registered successfully"
           : "User registered successfully",
@@ -1317,48 +1100,27 @@ router.post("/signup", async (req, res) => {
         id: newUser._id,
         email: newUser.email,
         role: newUser.role,
-        status: newUser.status,
+        status: createdUser.status,
         ...(role === "creator" && { instaUsername: newUser.instaUsername }),
         ...(role === "brand" && { brandName: newUser.brandName }),
       },
     };
 
-    // Add scraping status to response for creators
+    // Add onboarding status to response for creators
     if (role === "creator") {
-      responseData.instagramDataScraped = !!scrapedData;
-      responseData.instagramUsernameValidated = true;
-      responseData.commentVerified = !!commentVerificationResult?.verified;
-      
-      if (scrapedData) {
-        responseData.instagramStats = {
-          followers: scrapedData.followers,
-          engagementRate: scrapedData.engagementRate,
-          avgLikes: scrapedData.avgLikes,
-          totalUploads: scrapedData.totalUploads,
-        };
-      }
-
-      if (commentVerificationResult?.verified) {
-        responseData.verificationDetails = {
-          comment: commentVerificationResult.comment,
-          verifiedAt: new Date(),
-          postUrl: verificationPostUrl
-        };
-      }
+      responseData.onboarding = {
+        status: newUser.onboarding.status,
+        stage: newUser.onboarding.stage,
+        statusUrl: "/api/auth/onboarding/status",
+      };
     }
 
     res.status(201).json(responseData);
 
     console.log("✅ User created:", newUser._id);
-    console.log("📋 User Status:", newUser.status);
-    if (role === "creator" || role === "brand") {
-      console.log("⏳ Profile sent to admin for approval");
-    }
-    if (scrapedData) {
-      console.log("📊 Instagram data included in user profile");
-    }
-    if (commentVerificationResult?.verified) {
-      console.log("✅ Comment verification completed successfully");
+    console.log("📋 User Status:", createdUser.status);
+    if (role === "creator") {
+      console.log("⏳ Comment verification and Instagram scrape queued");
     }
     console.log("=== SIGNUP REQUEST END ===");
   } catch (err) {
@@ -1400,6 +1162,234 @@ router.post("/signup", async (req, res) => {
 
 
 
+// GET /onboarding/status - Background onboarding progress for the signed-in creator
+router.get(
+  "/onboarding/status",
+  authenticate,
+  authorizeRoles("creator"),
+  async (req, res) => {
+    try {
+      const { onboarding, commentVerification, scrapedData } = req.user;
+
+      // Creators registered before background onboarding have no state
+      const status = onboarding?.status || "completed";
+
+      res.status(200).json({
+        onboarding: {
+          status,
+          stage: onboarding?.stage,
+          error: status === "failed" ? onboarding.error : undefined,
+          startedAt: onboarding?.startedAt,
+          completedAt: onboarding?.completedAt,
+        },
+        commentVerified: !!commentVerification?.verified,
+        instagramDataScraped: scrapedData?.followers !== undefined,
+      });
+    } catch (err) {
+      console.error("Get onboarding status error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /onboarding/retry - Restart failed onboarding, optionally with new verification details
+router.post(
+  "/onboarding/retry",
+  authenticate,
+  authorizeRoles("creator"),
+  async (req, res) => {
+    try {
+      const { verificationPostUrl, productName } = req.body;
+      const user = req.user;
+
+      if (user.onboarding?.status !== "failed") {
+        return res.status(400).json({
+          error: "Onboarding can only be retried after it has failed",
+          status: user.onboarding?.status || "completed",
+        });
+      }
+
+      if (verificationPostUrl) {
+        const instagramPostRegex = /^https:\/\/(www\.)?instagram\.com\/(p|reel)\/[A-Za-z0-9_-]+/;
+        if (!instagramPostRegex.test(verificationPostUrl)) {
+          return res.status(400).json({
+            error: "Invalid Instagram post URL format",
+            message: "Please provide a valid Instagram post or reel URL"
+          });
+        }
+        user.commentVerification.postUrl = verificationPostUrl;
+      }
+      if (productName && productName.trim()) {
+        user.commentVerification.productName = productName.trim();
+      }
+      user.commentVerification.verified = false;
+
+      await startOnboarding(user);
+
+      res.status(202).json({
+        message: "Onboarding restarted",
+        onboarding: {
+          status: user.onboarding.status,
+          stage: user.onboarding.stage,
+          statusUrl: "/api/auth/onboarding/status",
+        },
+      });
+    } catch (err) {
+      console.error("Retry onboarding error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /review/status - Review state of the signed-in account
+router.get(
+  "/review/status",
+  authenticate,
+  authorizeRoles("creator", "brand"),
+  async (req, res) => {
+    try {
+      const { status, review } = req.user;
+      const resubmissions = review?.resubmissions || 0;
+
+      res.status(200).json({
+        status,
+        review: {
+          status: review?.status,
+          submittedAt: review?.submittedAt,
+          reviewedAt: review?.reviewedAt,
+          note: review?.note,
+          resubmissions,
+          resubmissionsLeft: Math.max(0, MAX_RESUBMISSIONS - resubmissions),
+        },
+      });
+    } catch (err) {
+      console.error("Get review status error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Profile fields a rejected user may correct before resubmitting
+const RESUBMIT_FIELDS = {
+  creator: ["niche", "city", "state", "contactNumber"],
+  brand: ["brandName", "niche", "contactNumber", "businessWebsite", "instaLink"],
+};
+const OPTIONAL_RESUBMIT_FIELDS = ["businessWebsite", "instaLink"];
+
+// POST /review/resubmit - Send a rejected account back to the review queue
+// Body: corrected profile fields, an optional note for the reviewer and, for
+// creators, optionally new verification details (restarts onboarding)
+router.post(
+  "/review/resubmit",
+  authenticate,
+  authorizeRoles("creator", "brand"),
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const { note, verificationPostUrl, productName } = req.body;
+
+      if (user.status !== "pending_review" || user.review?.status !== "rejected") {
+        return res.status(400).json({
+          error: "Only rejected accounts can be resubmitted",
+          status: user.status,
+        });
+      }
+
+      if ((user.review.resubmissions || 0) >= MAX_RESUBMISSIONS) {
+        return res.status(403).json({
+          error: "Resubmission limit reached. Please contact support",
+        });
+      }
+
+      if (note && note.length > 1000) {
+        return res.status(400).json({ error: "Note cannot exceed 1000 characters" });
+      }
+
+      for (const field of RESUBMIT_FIELDS[user.role]) {
+        const value = req.body[field];
+        if (value === undefined) continue;
+        if (typeof value !== "string" || (!value.trim() && !OPTIONAL_RESUBMIT_FIELDS.includes(field))) {
+          return res.status(400).json({ error: `${field} must be a non-empty string` });
+        }
+        user[field] = value.trim();
+      }
+
+      if (user.isModified("contactNumber")) {
+        const contactNumberTaken = await User.findOne({
+          contactNumber: user.contactNumber,
+          _id: { $ne: user._id },
+        });
+        if (contactNumberTaken) {
+          return res.status(409).json({
+            error: "Contact number already in use",
+            field: "contactNumber",
+          });
+        }
+      }
+
+      if (verificationPostUrl) {
+        const instagramPostRegex = /^https:\/\/(www\.)?instagram\.com\/(p|reel)\/[A-Za-z0-9_-]+/;
+        if (user.role !== "creator" || !instagramPostRegex.test(verificationPostUrl)) {
+          return res.status(400).json({
+            error: "Invalid Instagram post URL format",
+            message: "Please provide a valid Instagram post or reel URL"
+          });
+        }
+        user.commentVerification.postUrl = verificationPostUrl;
+        if (productName && productName.trim()) {
+          user.commentVerification.productName = productName.trim();
+        }
+        user.commentVerification.verified = false;
+      }
+
+      // New verification details, or a failed onboarding, mean verifying again
+      const restartOnboarding =
+        user.role === "creator" &&
+        (!!verificationPostUrl || user.onboarding?.status === "failed");
+
+      submitForReview(user, { note: note?.trim() });
+
+      let updatedUser = user;
+      if (restartOnboarding) {
+        await startOnboarding(user);
+      } else {
+        await user.save();
+        updatedUser = (await autoApproveIfEligible(req.app.get("io"), user)) || user;
+      }
+
+      res.status(200).json({
+        message:
+          updatedUser.status === "active"
+            ? "Account approved"
+            : "Account resubmitted for review",
+        status: updatedUser.status,
+        review: {
+          status: updatedUser.review.status,
+          submittedAt: updatedUser.review.submittedAt,
+          resubmissions: updatedUser.review.resubmissions,
+        },
+        ...(restartOnboarding && {
+          onboarding: {
+            status: user.onboarding.status,
+            stage: user.onboarding.stage,
+            statusUrl: "/api/auth/onboarding/status",
+          },
+        }),
+      });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        const validationErrors = Object.values(err.errors).map((e) => e.message);
+        return res.status(400).json({
+          error: "Validation failed",
+          details: validationErrors,
+        });
+      }
+      console.error("Resubmit review error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 // POST /create-admin (temporary endpoint for creating admin)
 router.post("/create-admin", async (req, res) => {
   try {
@@ -1479,15 +1469,20 @@ router.post("/signin", async (req, res) => {
       status: user.status,
     });
 
-    // Check if user is banned
-    if (user.status === "banned") {
-      console.log(`❌ User is banned: ${user.status}`);
+    // Check if the account may log in (see User.LOGIN_STATUSES)
+    if (!user.canLogIn()) {
+      console.log(`❌ User cannot log in: ${user.status}`);
+      const blockedByAdmin = ["banned", "suspended"].includes(user.status);
       return res.status(403).json({
-        error: "Account is banned",
+        error: `Account is ${user.status}`,
         status: user.status,
-        message: "Your account has been banned by an administrator",
-        banReason: user.banReason || "No reason provided",
-        bannedAt: user.bannedAt,
+        message: blockedByAdmin
+          ? `Your account has been ${user.status} by an administrator`
+          : "This account has been deactivated",
+        ...(blockedByAdmin && {
+          banReason: user.banReason || "No reason provided",
+          bannedAt: user.bannedAt,
+        }),
       });
     }
 
@@ -1503,17 +1498,8 @@ router.post("/signin", async (req, res) => {
       return res.status(500).json({ error: "Server configuration error" });
     }
 
-    console.log("🎫 Generating JWT token...");
-    const token = jwt.sign(
-      {
-        id: user._id,
-        role: user.role,
-        email: user.email,
-        status: user.status,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    console.log("🎫 Starting session...");
+    const { token, expiresIn, refreshToken, sessionId } = await createSession(user, req);
 
     // Build user response based on role
     const userResponse = {
@@ -1530,6 +1516,7 @@ router.post("/signin", async (req, res) => {
       userResponse.city = user.city;
       userResponse.niche = user.niche;
       userResponse.contactNumber = user.contactNumber;
+      userResponse.onboardingStatus = user.onboarding?.status || "completed";
       if (user.scrapedData) {
         userResponse.instagramStats = {
           followers: user.scrapedData.followers,
@@ -1557,6 +1544,9 @@ router.post("/signin", async (req, res) => {
     res.status(200).json({
       message: "Sign in successful",
       token,
+      expiresIn,
+      refreshToken,
+      sessionId,
       user: userResponse,
     });
 
@@ -1572,6 +1562,98 @@ router.post("/signin", async (req, res) => {
   }
 });
 
+// POST /refresh - Exchange a refresh token for a new access and refresh token
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const result = await rotateRefreshToken(req.app.get("io"), refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /logout - End the current session, or every session with { allDevices: true }
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    const io = req.app.get("io");
+
+    if (req.body.allDevices === true || !req.sessionId) {
+      await revokeUserSessions(io, [req.user._id], "logout");
+    } else {
+      await revokeSessions(io, { _id: req.sessionId, user: req.user._id }, "logout");
+    }
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /sessions - Active sessions (signed-in devices) of the current user
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    console.error("Get sessions error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /sessions/:sessionId - Sign out one device
+router.delete("/sessions/:sessionId", authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    await revokeSessions(req.app.get("io"), { _id: session._id }, "revoked");
+
+    res.status(200).json({ message: "Session revoked" });
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    console.error("Revoke session error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // POST /forgot-password
 router.post("/forgot-password", async (req, res) => {
   try {
@@ -1584,7 +1666,11 @@ router.post("/forgot-password", async (req, res) => {
 
     const normalizedEmail = email.toLowerCase().trim();
 
-    const user = await User.findOne({ email: normalizedEmail });
+    // Accounts that can't log in get no reset link
+    const user = await User.findOne({
+      email: normalizedEmail,
+      ...User.loginAllowedFilter(),
+    });
     if (!user) {
       console.log("❌ User not found for password reset:", normalizedEmail);
       return res.status(404).json({ error: "User not found" });
@@ -1595,14 +1681,18 @@ router.post("/forgot-password", async (req, res) => {
     user.resetTokenExpiry = Date.now() + 1000 * 60 * 60; // 1 hour
     await user.save();
 
-    // Replace this with actual email sending logic
     const resetLink = `${
       process.env.FRONTEND_URL || "http://localhost:3000"
     }/reset-password/${token}`;
-    console.log(`🔗 Reset link: ${resetLink}`);
+
+    await queueMail(user.email, "passwordReset", {
+      name: user.role === "brand" ? user.brandName : user.instaUsername,
+      resetLink,
+      expiresInMinutes: 60,
+    });
 
     res.status(200).json({
-      message: "Reset link sent (check server log)",
+      message: "Reset link sent to your email",
       resetLink: process.env.NODE_ENV === "development" ? resetLink : undefined,
     });
   } catch (err) {
@@ -1633,6 +1723,7 @@ router.post("/reset-password", async (req, res) => {
     const user = await User.findOne({
       resetToken: token,
       resetTokenExpiry: { $gt: Date.now() }, // Token must not be expired
+      ...User.loginAllowedFilter(),
     });
 
     if (!user) {
@@ -1654,6 +1745,9 @@ router.post("/reset-password", async (req, res) => {
     user.resetTokenExpiry = undefined;
     await user.save();
 
+    // Sign out everywhere the old password was used
+    await revokeUserSessions(req.app.get("io"), [user._id], "password_reset");
+
     console.log("✅ Password reset successful for user:", user.email);
 
     res.status(200).json({
@@ -1690,6 +1784,7 @@ router.get("/reset-password/:token", async (req, res) => {
     const user = await User.findOne({
       resetToken: token,
       resetTokenExpiry: { $gt: Date.now() },
+      ...User.loginAllowedFilter(),
     });
 
     if (!user) {
@@ -2,12 +2,28 @@
 const express = require("express");
 const router = express.Router();
 const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+const Submission = require("../models/Submission");
+const Invitation = require("../models/Invitation");
 const User = require("../models/User");
-const { authenticate, authorizeRoles } = require("../middleware/auth");
-const upload = require("../middleware/upload");
+const { body, matchedData } = require("express-validator");
+const { authenticate, authorizeRoles, requireActive } = require("../middleware/auth");
+const { validate, onlyFields } = require("../middleware/validate");
+const { uploadCampaignImages, removeUploadedFiles } = require("../middleware/upload");
+const { processUploadedImages, removeImageFiles } = require("../services/campaignMedia");
+const { reserveSlot, releaseSlot, promoteWaitlist } = require("../services/campaignSlots");
+const { parseApplicationInput, submitApplication } = require("../services/applications");
+const { recommendCampaigns } = require("../services/recommendations");
+const { exactMatch, facetCounts } = require("../services/search");
+const {
+  parseEligibility,
+  toPlainEligibility,
+  checkEligibility,
+  eligibilityFilter,
+} = require("../services/eligibility");
 
 // POST /api/campaigns - Create a new campaign
-router.post("/", authenticate, authorizeRoles("brand"), upload.array("images", 5), async (req, res) => {
+router.post("/", authenticate, authorizeRoles("brand"), requireActive, uploadCampaignImages, async (req, res) => {
   try {
     const {
       name,
@@ -20,10 +36,41 @@ router.post("/", authenticate, authorizeRoles("brand"), upload.array("images", 5
       budgetRange,
     } = req.body;
 
+    const { eligibility, error: eligibilityError } = parseEligibility(req.body.eligibility);
+    if (eligibilityError) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error: eligibilityError });
+    }
+
+    const { slots, waitlistEnabled, visibility = "public" } = req.body;
+    if (!["public", "unlisted", "invite_only"].includes(visibility)) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error: "Visibility must be 'public', 'unlisted' or 'invite_only'" });
+    }
+
+    const parsedSlots = slots === undefined || slots === "" || slots === null ? undefined : Number(slots);
+    if (parsedSlots !== undefined && (!Number.isInteger(parsedSlots) || parsedSlots < 1)) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error: "Slots must be a whole number of at least 1" });
+    }
+
     // Use the authenticated user's ID as the brand
     const brandId = req.user._id;
+
+    const parsedStartDate = startDate ? new Date(startDate) : undefined;
+    const parsedEndDate = endDate ? new Date(endDate) : undefined;
+    if (parsedStartDate && parsedEndDate && parsedEndDate <= parsedStartDate) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error: "End date must be after start date" });
+    }
+    if (parsedEndDate && parsedEndDate < new Date()) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ error: "End date cannot be in the past" });
+    }
     
-    const imagePaths = req.files.map((file) => `/uploads/${file.filename}`);
+    // Validate, strip metadata and generate variants
+    const images = await processUploadedImages(req.files || []);
+    await removeUploadedFiles(req.files);
     
     // Parse budgetRange if it's a string
     let parsedBudgetRange;
@@ -41,15 +88,25 @@ router.post("/", authenticate, authorizeRoles("brand"), upload.array("images", 5
       niche,
       city,
       description,
-      startDate: startDate ? new Date(startDate) : undefined,
-      endDate: endDate ? new Date(endDate) : undefined,
+      startDate: parsedStartDate,
+      endDate: parsedEndDate,
       rewardType,
       budgetRange: parsedBudgetRange,
-      images: imagePaths,
-      appliedCreators: [], // Initialize empty array
+      eligibility,
+      slots: parsedSlots,
+      waitlistEnabled: waitlistEnabled === true || waitlistEnabled === "true",
+      visibility,
+      images,
+      // Campaigns starting later stay in draft until the lifecycle job activates them
+      status: Campaign.initialStatusFor(parsedStartDate),
     });
 
-    await newCampaign.save();
+    try {
+      await newCampaign.save();
+    } catch (err) {
+      await removeImageFiles(images);
+      throw err;
+    }
     
     // Populate brand info for response
     await newCampaign.populate("brand", "brandName email");
@@ -59,6 +116,10 @@ router.post("/", authenticate, authorizeRoles("brand"), upload.array("images", 5
       campaign: newCampaign 
     });
   } catch (err) {
+    await removeUploadedFiles(req.files);
+    if (err.type === "upload.invalid.image") {
+      return res.status(400).json({ error: err.message });
+    }
     console.error("Create campaign error:", err);
     res.status(500).json({ error: "Server error" });
   }
@@ -87,12 +148,26 @@ router.get("/my", authenticate, authorizeRoles("brand"), async (req, res) => {
       .skip(skip)
       .limit(pageSize);
 
-    // Add application count to each campaign
-    const campaignsWithStats = campaigns.map(campaign => ({
-      ...campaign.toObject(),
-      applicationCount: campaign.appliedCreators.length,
-      applicants: campaign.appliedCreators // Include applicants for recruitment
-    }));
+    // Load applications for these campaigns to include counts and applicants
+    const applications = await Application.find({
+      campaign: { $in: campaigns.map(c => c._id) },
+      status: { $nin: Application.INACTIVE_STATUSES }
+    })
+      .select("campaign creator status appliedAt")
+      .sort({ appliedAt: -1 })
+      .lean();
+
+    const campaignsWithStats = campaigns.map(campaign => {
+      const applicants = applications.filter(
+        app => app.campaign.toString() === campaign._id.toString()
+      );
+
+      return {
+        ...campaign.toObject(),
+        applicationCount: applicants.length,
+        applicants // Include applicants for recruitment
+      };
+    });
 
     const totalCount = await Campaign.countDocuments(filter);
     const totalPages = Math.ceil(totalCount / pageSize);
@@ -115,6 +190,8 @@ router.get("/my", authenticate, authorizeRoles("brand"), async (req, res) => {
 });
 
 // GET /api/campaigns/all - Get all active campaigns (for creators)
+// With ?search= results are ranked by text relevance (sort=newest to override);
+// facets count the matching campaigns by niche, city and reward type
 router.get("/all", authenticate, authorizeRoles("creator"), async (req, res) => {
   try {
     const { 
@@ -123,43 +200,43 @@ router.get("/all", authenticate, authorizeRoles("creator"), async (req, res) =>
       rewardType, 
       page = 1, 
       limit = 10,
-      search 
+      search,
+      sort,
+      eligibleOnly
     } = req.query;
 
-    // Build filter for active campaigns only
+    // Public campaigns plus the ones this creator was invited to
+    const invitedCampaignIds = await Invitation.invitedCampaignIds(req.user._id);
+
+    // Build filter for active campaigns only (expired ones are moved out by the lifecycle job)
     const filter = { 
       status: "active",
-      // Only show campaigns that haven't expired
-      $or: [
-        { endDate: { $exists: false } },
-        { endDate: { $gte: new Date() } }
+      ...Campaign.visibleBrandFilter(),
+      $and: [
+        { $or: [Campaign.listedFilter(), { _id: { $in: invitedCampaignIds } }] }
       ]
     };
 
-    if (niche) {
-      filter.niche = new RegExp(niche, "i");
+    if (typeof niche === "string" && niche.trim()) {
+      filter.niche = exactMatch(niche);
     }
 
-    if (city) {
-      filter.city = new RegExp(city, "i");
+    if (typeof city === "string" && city.trim()) {
+      filter.city = exactMatch(city);
     }
 
     if (rewardType && ["barter", "money"].includes(rewardType)) {
       filter.rewardType = rewardType;
     }
 
-    if (search) {
-      filter.$and = [
-        ...(filter.$and || []),
-        {
-          $or: [
-            { name: new RegExp(search, "i") },
-            { description: new RegExp(search, "i") },
-            { niche: new RegExp(search, "i") },
-            { city: new RegExp(search, "i") }
-          ]
-        }
-      ];
+    const searchText = typeof search === "string" ? search.trim().slice(0, 200) : "";
+    if (searchText) {
+      filter.$text = { $search: searchText };
+    }
+
+    // Optionally hide campaigns whose eligibility rules the creator doesn't meet
+    if (eligibleOnly === "true") {
+      filter.$and = [...(filter.$and || []), eligibilityFilter(req.user)];
     }
 
     // Calculate pagination
@@ -167,31 +244,53 @@ router.get("/all", authenticate, authorizeRoles("creator"), async (req, res) =>
     const pageSize = Math.min(50, Math.max(1, parseInt(limit)));
     const skip = (pageNumber - 1) * pageSize;
 
-    const campaigns = await Campaign.find(filter)
-      .populate("brand", "brandName email niche")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(pageSize);
+    const byRelevance = searchText && sort !== "newest";
+
+    const [campaigns, totalCount, facets] = await Promise.all([
+      Campaign.find(filter, byRelevance ? { searchScore: { $meta: "textScore" } } : {})
+        .populate("brand", "brandName email niche")
+        .sort(byRelevance ? { searchScore: { $meta: "textScore" }, createdAt: -1 } : { createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      Campaign.countDocuments(filter),
+      facetCounts(Campaign, filter, ["niche", "city", "rewardType"])
+    ]);
 
     // Check if creator has already applied to each campaign
     const creatorId = req.user._id;
+    const campaignIds = campaigns.map(c => c._id);
+    const [applicationCounts, myApplications] = await Promise.all([
+      Application.countByCampaign(campaignIds),
+      Application.find({ creator: creatorId, campaign: { $in: campaignIds } })
+        .select("campaign status")
+        .lean()
+    ]);
+
     const campaignsWithApplicationStatus = campaigns.map(campaign => {
-      const hasApplied = campaign.appliedCreators.some(
-        app => app.creator.toString() === creatorId.toString()
+      const application = myApplications.find(
+        app => app.campaign.toString() === campaign._id.toString()
       );
 
+      const ineligibleReasons = checkEligibility(campaign.eligibility, req.user);
+
       return {
         ...campaign.toObject(),
-        hasApplied,
-        applicationCount: campaign.appliedCreators.length
+        hasApplied: !!application && application.status !== "withdrawn",
+        applicationStatus: application ? application.status : null,
+        applicationCount: applicationCounts.get(campaign._id.toString()) || 0,
+        eligible: ineligibleReasons.length === 0,
+        ineligibleReasons,
+        availableSlots: campaign.availableSlots(),
+        isFull: campaign.isFull(),
+        invited: invitedCampaignIds.some(invitedId => invitedId.toString() === campaign._id.toString())
       };
     });
 
-    const totalCount = await Campaign.countDocuments(filter);
     const totalPages = Math.ceil(totalCount / pageSize);
 
     res.status(200).json({
       campaigns: campaignsWithApplicationStatus,
+      facets,
       pagination: {
         currentPage: pageNumber,
         totalPages,
@@ -207,6 +306,33 @@ router.get("/all", authenticate, authorizeRoles("creator"), async (req, res) =>
   }
 });
 
+// GET /api/campaigns/recommended - Campaigns ranked for the calling creator (for creators)
+// Each campaign carries recommendation.score and the factors behind it
+router.get("/recommended", authenticate, authorizeRoles("creator"), async (req, res) => {
+  try {
+    const pageSize = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const recommendations = await recommendCampaigns(req.user, { limit: pageSize });
+
+    const applicationCounts = await Application.countByCampaign(
+      recommendations.map(({ campaign }) => campaign._id)
+    );
+
+    res.status(200).json({
+      campaigns: recommendations.map(({ campaign, recommendation }) => ({
+        ...campaign.toObject(),
+        applicationCount: applicationCounts.get(campaign._id.toString()) || 0,
+        availableSlots: campaign.availableSlots(),
+        isFull: campaign.isFull(),
+        recommendation
+      }))
+    });
+  } catch (err) {
+    console.error("Get recommended campaigns error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // GET /api/campaigns/:id - Get single campaign details
 router.get("/:id", authenticate, async (req, res) => {
   try {
@@ -227,20 +353,48 @@ router.get("/:id", authenticate, async (req, res) => {
     }
 
     let responseData = campaign.toObject();
+    responseData.availableSlots = campaign.availableSlots();
+    responseData.isFull = campaign.isFull();
+
+    const applicationCount = await Application.countDocuments({
+      campaign: campaign._id,
+      status: { $nin: Application.INACTIVE_STATUSES }
+    });
 
     // Add application status for creators
     if (userRole === "creator") {
-      const hasApplied = campaign.appliedCreators.some(
-        app => app.creator.toString() === userId.toString()
-      );
+      // Campaigns of suspended or banned brands are hidden from creators
+      if (!campaign.hasVisibleBrand()) {
+        return res.status(404).json({ error: "Campaign not found" });
+      }
+
+      const application = await Application.findOne({
+        campaign: campaign._id,
+        creator: userId
+      }).select("status pitch quotedRate appliedAt");
+
+      const invitation = await Invitation.findOne({
+        campaign: campaign._id,
+        creator: userId
+      }).select("status message invitedAt respondedAt");
 
-      responseData.hasApplied = hasApplied;
-      responseData.applicationCount = campaign.appliedCreators.length;
+      // Invite-only campaigns stay hidden from creators who were never invited
+      const invited = invitation && Invitation.ACTIVE_STATUSES.includes(invitation.status);
+      if (campaign.visibility === "invite_only" && !invited && !application) {
+        return res.status(404).json({ error: "Campaign not found" });
+      }
+      responseData.invitation = invitation;
+
+      responseData.hasApplied = !!application && application.status !== "withdrawn";
+      responseData.application = application;
+      responseData.applicationCount = applicationCount;
+      responseData.ineligibleReasons = invited ? [] : checkEligibility(campaign.eligibility, req.user);
+      responseData.eligible = responseData.ineligibleReasons.length === 0;
     }
 
     // Add application count for brands
     if (userRole === "brand") {
-      responseData.applicationCount = campaign.appliedCreators.length;
+      responseData.applicationCount = applicationCount;
     }
 
     res.status(200).json({ campaign: responseData });
@@ -250,51 +404,249 @@ router.get("/:id", authenticate, async (req, res) => {
   }
 });
 
+// Multipart forms send budgetRange as a JSON string
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+const isValidAmount = (value) =>
+  value === undefined || (value !== null && value !== "" && Number.isFinite(Number(value)) && Number(value) >= 0);
+
+// Validation for PUT /api/campaigns/:id. Only editable fields are accepted.
+const campaignUpdateValidation = [
+  onlyFields(Campaign.EDITABLE_FIELDS),
+  body("name")
+    .optional()
+    .isString().withMessage("must be text").bail()
+    .trim()
+    .notEmpty().withMessage("cannot be empty")
+    .isLength({ max: 200 }).withMessage("cannot exceed 200 characters"),
+  body(["niche", "city"])
+    .optional()
+    .isString().withMessage("must be text").bail()
+    .trim()
+    .isLength({ max: 100 }).withMessage("cannot exceed 100 characters"),
+  body("description")
+    .optional()
+    .isString().withMessage("must be text").bail()
+    .trim()
+    .isLength({ max: 5000 }).withMessage("cannot exceed 5000 characters"),
+  body(["startDate", "endDate"])
+    .optional()
+    .isISO8601().withMessage("must be a valid date").bail()
+    .toDate(),
+  body("rewardType")
+    .optional()
+    .isIn(["barter", "money"]).withMessage("must be 'barter' or 'money'"),
+  body("budgetRange")
+    .optional()
+    .customSanitizer(parseJsonField)
+    .custom((value) => {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error("must be an object with min and max");
+      }
+      if (!isValidAmount(value.min) || !isValidAmount(value.max)) {
+        throw new Error("min and max must be positive numbers");
+      }
+      if (value.min !== undefined && value.max !== undefined && Number(value.min) > Number(value.max)) {
+        throw new Error("min cannot be greater than max");
+      }
+      return true;
+    }).bail()
+    .customSanitizer((value) => ({
+      min: value.min === undefined ? undefined : Number(value.min),
+      max: value.max === undefined ? undefined : Number(value.max),
+    })),
+  body("eligibility")
+    .optional()
+    .custom((value) => {
+      const { error } = parseEligibility(value);
+      if (error) throw new Error(error);
+      return true;
+    }).bail()
+    .customSanitizer((value) => parseEligibility(value).eligibility),
+  body("slots")
+    .optional({ values: "null" })
+    .isInt({ min: 1 }).withMessage("must be a whole number of at least 1").bail()
+    .toInt(),
+  body("waitlistEnabled")
+    .optional()
+    .isBoolean().withMessage("must be true or false").bail()
+    .toBoolean(),
+  body("visibility")
+    .optional()
+    .isIn(["public", "unlisted", "invite_only"]).withMessage("must be 'public', 'unlisted' or 'invite_only'"),
+  validate,
+];
+
+// Plain form of a field value, for history entries
+const historyValue = (field, value) => {
+  if (field === "budgetRange") return { min: value?.min, max: value?.max };
+  if (field === "eligibility") return toPlainEligibility(value);
+  return value;
+};
+
+// Comparable form of a field value, for detecting real changes
+const comparable = (field, value) => {
+  if (value instanceof Date) return value.getTime();
+  if (["budgetRange", "eligibility"].includes(field)) {
+    return JSON.stringify(historyValue(field, value));
+  }
+  return value === "" ? undefined : value;
+};
+
 // PUT /api/campaigns/:id - Update campaign
-router.put("/:id", authenticate, authorizeRoles("brand"), async (req, res) => {
+router.put("/:id", authenticate, authorizeRoles("brand"), requireActive, campaignUpdateValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const brandId = req.user._id;
-    const updateData = req.body;
+    const updates = matchedData(req, { locations: ["body"] });
+    // slots: null removes the limit
+    if (req.body.slots === null) updates.slots = undefined;
 
     const campaign = await Campaign.findOne({ _id: id, brand: brandId });
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Parse budgetRange if provided
-    if (updateData.budgetRange && typeof updateData.budgetRange === 'string') {
-      try {
-        updateData.budgetRange = JSON.parse(updateData.budgetRange);
-      } catch (e) {
-        delete updateData.budgetRange;
+    if (["expired", "cancelled"].includes(campaign.status)) {
+      return res.status(400).json({ error: `Cannot edit a campaign that is ${campaign.status}` });
+    }
+
+    // Switching to barter drops the budget
+    if (updates.rewardType === "barter") {
+      updates.budgetRange = { min: undefined, max: undefined };
+    }
+
+    const changes = Campaign.EDITABLE_FIELDS
+      .filter((field) => field in updates)
+      .filter((field) => comparable(field, campaign[field]) !== comparable(field, updates[field]))
+      .map((field) => ({
+        field,
+        from: historyValue(field, campaign[field]),
+        to: historyValue(field, updates[field]),
+      }));
+
+    if (changes.length === 0) {
+      await campaign.populate("brand", "brandName email");
+      return res.status(200).json({ message: "No changes", campaign });
+    }
+
+    // Reward terms are part of what creators applied to
+    const materialChanges = changes.filter((c) => Campaign.MATERIAL_FIELDS.includes(c.field));
+    if (materialChanges.length > 0) {
+      const hasApplicants = await Application.exists({
+        campaign: campaign._id,
+        status: { $nin: Application.INACTIVE_STATUSES },
+      });
+      if (hasApplicants) {
+        return res.status(409).json({
+          error: "Reward terms cannot change once creators have applied",
+          fields: materialChanges.map((c) => c.field),
+        });
       }
     }
 
-    // Parse dates if provided
-    if (updateData.startDate) {
-      updateData.startDate = new Date(updateData.startDate);
+    if (updates.slots !== undefined && updates.slots < campaign.hiredCount) {
+      return res.status(400).json({
+        error: `Slots cannot be lower than the ${campaign.hiredCount} creators already hired`,
+      });
     }
-    if (updateData.endDate) {
-      updateData.endDate = new Date(updateData.endDate);
+
+    const startDate = "startDate" in updates ? updates.startDate : campaign.startDate;
+    const endDate = "endDate" in updates ? updates.endDate : campaign.endDate;
+    if (startDate && endDate && endDate <= startDate) {
+      return res.status(400).json({ error: "End date must be after start date" });
     }
+    if ("endDate" in updates && endDate < new Date()) {
+      return res.status(400).json({ error: "End date cannot be in the past" });
+    }
+
+    changes.forEach(({ field }) => campaign.set(field, updates[field]));
+    const entry = { changedBy: brandId, changedAt: new Date(), changes };
+    campaign.changeHistory.push(entry);
+    await campaign.save();
 
-    const updatedCampaign = await Campaign.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate("brand", "brandName email");
+    // More room may let waitlisted creators back in
+    const io = req.app.get('io');
+    if (changes.some((c) => c.field === "slots")) {
+      await promoteWaitlist(io, campaign, brandId);
+    }
+
+    // Tell everyone with an open application what changed
+    if (io) {
+      const applicants = await Application.distinct("creator", {
+        campaign: campaign._id,
+        status: { $nin: Application.INACTIVE_STATUSES },
+      });
+      applicants.forEach((creatorId) => {
+        io.to(`user_${creatorId}`).emit('campaign_updated', {
+          campaign: { id: campaign._id, name: campaign.name },
+          changedAt: entry.changedAt,
+          changes,
+          message: `Campaign "${campaign.name}" was updated`,
+        });
+      });
+    }
+
+    await campaign.populate("brand", "brandName email");
 
     res.status(200).json({
       message: "Campaign updated successfully",
-      campaign: updatedCampaign
+      campaign,
+      changes,
     });
   } catch (err) {
+    if (err.name === "ValidationError") {
+      const validationErrors = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
     console.error("Update campaign error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// GET /api/campaigns/:id/history - Change history of a campaign (brand or applicants)
+router.get("/:id/history", authenticate, authorizeRoles("brand", "creator"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const campaign = await Campaign.findById(id)
+      .select("name brand changeHistory")
+      .populate("changeHistory.changedBy", "brandName");
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    if (req.user.role === "brand" && campaign.brand.toString() !== userId.toString()) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    if (req.user.role === "creator") {
+      const applied = await Application.exists({ campaign: campaign._id, creator: userId });
+      if (!applied) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+    }
+
+    res.status(200).json({
+      campaign: { id: campaign._id, name: campaign.name },
+      history: [...campaign.changeHistory].reverse(),
+    });
+  } catch (err) {
+    console.error("Get campaign history error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // DELETE /api/campaigns/:id - Delete campaign
 router.delete("/:id", authenticate, authorizeRoles("brand"), async (req, res) => {
   try {
@@ -306,8 +658,13 @@ router.delete("/:id", authenticate, authorizeRoles("brand"), async (req, res) =>
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Delete the campaign
+    // Delete the campaign, its applications and submissions, then any image
+    // files no other campaign uses
     await Campaign.findByIdAndDelete(id);
+    await Application.deleteMany({ campaign: id });
+    await Submission.deleteMany({ campaign: id });
+    await Invitation.deleteMany({ campaign: id });
+    await removeImageFiles(campaign.images);
 
     res.status(200).json({ message: "Campaign deleted successfully" });
   } catch (err) {
@@ -317,50 +674,85 @@ router.delete("/:id", authenticate, authorizeRoles("brand"), async (req, res) =>
 });
 
 // POST /api/campaigns/:id/apply - Apply to a campaign (for creators)
-router.post("/:id/apply", authenticate, authorizeRoles("creator"), async (req, res) => {
+router.post("/:id/apply", authenticate, authorizeRoles("creator"), requireActive, async (req, res) => {
   try {
     const { id } = req.params;
-    const creatorId = req.user._id;
+
+    const { pitch, quotedRate, error } = parseApplicationInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
     // Check if campaign exists and is active
     const campaign = await Campaign.findById(id);
-    if (!campaign) {
+    if (!campaign || !campaign.hasVisibleBrand()) {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
     if (campaign.status !== "active") {
-      return res.status(400).json({ error: "Campaign is not active" });
+      return res.status(400).json({
+        error: campaign.status === "expired" ? "Campaign has expired" : "Campaign is not active"
+      });
     }
 
-    // Check if campaign has expired
-    if (campaign.endDate && new Date() > campaign.endDate) {
-      return res.status(400).json({ error: "Campaign has expired" });
-    }
+    // Invite-only campaigns need an invitation; invited creators skip the eligibility rules
+    const invitation = await Invitation.findOne({
+      campaign: campaign._id,
+      creator: req.user._id,
+      status: { $in: Invitation.ACTIVE_STATUSES }
+    });
 
-    // Check if creator has already applied
-    const hasApplied = campaign.appliedCreators.some(
-      app => app.creator.toString() === creatorId.toString()
-    );
+    if (campaign.visibility === "invite_only" && !invitation) {
+      return res.status(403).json({ error: "This campaign is invite-only" });
+    }
 
-    if (hasApplied) {
-      return res.status(400).json({ 
-        error: "You have already applied to this campaign"
+    const ineligibleReasons = invitation ? [] : checkEligibility(campaign.eligibility, req.user);
+    if (ineligibleReasons.length > 0) {
+      return res.status(403).json({
+        error: "You are not eligible for this campaign",
+        reasons: ineligibleReasons,
       });
     }
 
-    // Add creator to applied list
-    campaign.appliedCreators.push({
-      creator: creatorId,
-      appliedAt: new Date()
+    const result = await submitApplication(req.app.get('io'), campaign, req.user, {
+      pitch,
+      quotedRate
     });
 
-    await campaign.save();
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.applicationStatus && { applicationStatus: result.applicationStatus })
+      });
+    }
+
+    const { application, applicationCount } = result;
+
+    // Applying answers a pending invitation
+    if (invitation && invitation.status === "pending") {
+      invitation.status = "accepted";
+      invitation.respondedAt = new Date();
+      await invitation.save();
+    }
 
     res.status(200).json({
-      message: "Applied to campaign successfully",
-      applicationCount: campaign.appliedCreators.length
+      message: application.status === "waitlisted"
+        ? "Campaign is full, you have been added to the waitlist"
+        : "Applied to campaign successfully",
+      application,
+      applicationCount
     });
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "You have already applied to this campaign" });
+    }
+    if (err.name === "ValidationError") {
+      const validationErrors = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
     console.error("Apply to campaign error:", err);
     res.status(500).json({ error: "Server error" });
   }
@@ -371,7 +763,7 @@ router.get("/:id/applicants", authenticate, authorizeRoles("brand"), async (req,
   try {
     const { id } = req.params;
     const brandId = req.user._id;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
 
     // Verify campaign belongs to the brand
     const campaign = await Campaign.findOne({ _id: id, brand: brandId });
@@ -379,38 +771,51 @@ router.get("/:id/applicants", authenticate, authorizeRoles("brand"), async (req,
       return res.status(404).json({ error: "Campaign not found" });
     }
 
+    if (status && !Application.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status",
+        allowed: Application.STATUSES
+      });
+    }
+
+    // Build filter (withdrawn applications are hidden unless asked for)
+    const filter = { campaign: campaign._id };
+    filter.status = status ? status : { $nin: Application.INACTIVE_STATUSES };
+
     // Calculate pagination
     const pageNumber = Math.max(1, parseInt(page));
     const pageSize = Math.min(50, Math.max(1, parseInt(limit)));
     const skip = (pageNumber - 1) * pageSize;
 
-    // Get campaign with populated applicants
-    const campaignWithApplicants = await Campaign.findById(id)
-      .populate({
-        path: "appliedCreators.creator",
-        select: "instaUsername email city niche scrapedData state contactNumber"
-      })
-      .lean();
-
-    if (!campaignWithApplicants) {
-      return res.status(404).json({ error: "Campaign not found" });
-    }
-
-    // Apply pagination to applicants
-    const totalApplicants = campaignWithApplicants.appliedCreators.length;
-    const paginatedApplicants = campaignWithApplicants.appliedCreators
-      .sort((a, b) => new Date(b.appliedAt) - new Date(a.appliedAt))
-      .slice(skip, skip + pageSize);
+    const [applicants, totalApplicants, stageCounts] = await Promise.all([
+      Application.find(filter)
+        .populate("creator", "instaUsername email city niche scrapedData state contactNumber")
+        .sort({ appliedAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      Application.countDocuments(filter),
+      Application.aggregate([
+        { $match: { campaign: campaign._id } },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const stages = Object.fromEntries(Application.STATUSES.map(s => [s, 0]));
+    stageCounts.forEach(stage => {
+      stages[stage._id] = stage.count;
+    });
 
     const totalPages = Math.ceil(totalApplicants / pageSize);
 
     res.status(200).json({
       campaign: {
-        id: campaignWithApplicants._id,
-        name: campaignWithApplicants.name,
-        description: campaignWithApplicants.description
+        id: campaign._id,
+        name: campaign.name,
+        description: campaign.description
       },
-      applicants: paginatedApplicants,
+      applicants,
+      stages,
       pagination: {
         currentPage: pageNumber,
         totalPages,
@@ -426,8 +831,85 @@ router.get("/:id/applicants", authenticate, authorizeRoles("brand"), async (req,
   }
 });
 
+// PATCH /api/campaigns/:id/applicants/:applicationId/status - Move an application through the pipeline (for brands)
+router.patch("/:id/applicants/:applicationId/status", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const { id, applicationId } = req.params;
+    const brandId = req.user._id;
+    const { status, note } = req.body;
+
+    if (!status || !Application.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status",
+        allowed: Application.STATUSES
+      });
+    }
+
+    if (note && note.length > 500) {
+      return res.status(400).json({ error: "Note cannot exceed 500 characters" });
+    }
+
+    const application = await Application.findOne({
+      _id: applicationId,
+      campaign: id,
+      brand: brandId
+    }).populate("campaign", "name");
+
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    if (!application.canTransitionTo(status, "brand")) {
+      return res.status(400).json({
+        error: `Cannot move an application from "${application.status}" to "${status}"`
+      });
+    }
+
+    // Hiring takes one of the campaign's slots
+    let campaignFull = false;
+    if (status === "hired") {
+      const updatedCampaign = await reserveSlot(application.campaign._id);
+      if (!updatedCampaign) {
+        return res.status(409).json({ error: "All slots for this campaign are already filled" });
+      }
+      campaignFull = updatedCampaign.isFull();
+    }
+
+    application.transitionTo(status, brandId, note?.trim());
+    if (note !== undefined) {
+      application.brandNote = note.trim();
+    }
+    try {
+      await application.save();
+    } catch (err) {
+      if (status === "hired") await releaseSlot(application.campaign._id);
+      throw err;
+    }
+
+    // Notify the creator in real time
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${application.creator}`).emit('application_status_changed', {
+        applicationId: application._id,
+        campaign: { id: application.campaign._id, name: application.campaign.name },
+        status: application.status,
+        note: application.brandNote
+      });
+    }
+
+    res.status(200).json({
+      message: `Application ${status}`,
+      application,
+      ...(status === "hired" && { campaignFull })
+    });
+  } catch (err) {
+    console.error("Update application status error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // POST /api/campaigns/:campaignId/recruit/:creatorId - Initiate recruitment chat
-router.post("/:campaignId/recruit/:creatorId", authenticate, authorizeRoles("brand"), async (req, res) => {
+router.post("/:campaignId/recruit/:creatorId", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
   try {
     const { campaignId, creatorId } = req.params;
     const { initialMessage } = req.body;
@@ -445,12 +927,14 @@ router.post("/:campaignId/recruit/:creatorId", authenticate, authorizeRoles("bra
       });
     }
 
-    // Verify creator applied to this campaign
-    const hasApplied = campaign.appliedCreators.some(
-      app => app.creator.toString() === creatorId
-    );
+    // Verify creator has an open application to this campaign
+    const application = await Application.findOne({
+      campaign: campaignId,
+      creator: creatorId,
+      status: { $nin: ["rejected", "withdrawn"] }
+    });
 
-    if (!hasApplied) {
+    if (!application) {
       return res.status(400).json({ 
         error: "Creator has not applied to this campaign" 
       });
@@ -461,11 +945,11 @@ router.post("/:campaignId/recruit/:creatorId", authenticate, authorizeRoles("bra
     const Message = require("../models/Message");
     const User = require("../models/User");
 
-    // Verify creator exists and is approved
+    // Verify creator exists and is active
     const creator = await User.findOne({ 
       _id: creatorId, 
       role: "creator", 
-      status: "approved" 
+      ...User.visibleFilter()
     });
 
     if (!creator) {
@@ -549,7 +1033,7 @@ router.post("/:campaignId/recruit/:creatorId", authenticate, authorizeRoles("bra
   }
 });
 
-// DELETE /api/campaigns/:id/unapply - Remove application (for creators)
+// DELETE /api/campaigns/:id/unapply - Withdraw application (for creators)
 router.delete("/:id/unapply", authenticate, authorizeRoles("creator"), async (req, res) => {
   try {
     const { id } = req.params;
@@ -561,21 +1045,42 @@ router.delete("/:id/unapply", authenticate, authorizeRoles("creator"), async (re
     }
 
     // Check if creator has applied
-    const applicationIndex = campaign.appliedCreators.findIndex(
-      app => app.creator.toString() === creatorId.toString()
-    );
+    const application = await Application.findOne({
+      campaign: campaign._id,
+      creator: creatorId
+    });
 
-    if (applicationIndex === -1) {
+    if (!application || application.status === "withdrawn") {
       return res.status(400).json({ error: "You have not applied to this campaign" });
     }
 
-    // Remove the application
-    campaign.appliedCreators.splice(applicationIndex, 1);
-    await campaign.save();
+    if (!application.canTransitionTo("withdrawn", "creator")) {
+      return res.status(400).json({
+        error: `Cannot withdraw an application that is "${application.status}"`
+      });
+    }
+
+    // Withdraw the application; a hired creator frees their slot for the waitlist
+    const wasHired = application.status === "hired";
+    application.transitionTo("withdrawn", creatorId);
+    await application.save();
+
+    if (wasHired) {
+      const updatedCampaign = await releaseSlot(campaign._id);
+      if (updatedCampaign) {
+        // Promoted by the system, not by the withdrawing creator
+        await promoteWaitlist(req.app.get('io'), updatedCampaign, null);
+      }
+    }
+
+    const applicationCount = await Application.countDocuments({
+      campaign: campaign._id,
+      status: { $nin: Application.INACTIVE_STATUSES }
+    });
 
     res.status(200).json({ 
-      message: "Application removed successfully",
-      applicationCount: campaign.appliedCreators.length
+      message: "Application withdrawn successfully",
+      applicationCount
     });
   } catch (err) {
     console.error("Remove application error:", err);
@@ -587,38 +1092,51 @@ router.delete("/:id/unapply", authenticate, authorizeRoles("creator"), async (re
 router.get("/my/applications", authenticate, authorizeRoles("creator"), async (req, res) => {
   try {
     const creatorId = req.user._id;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
 
     // Calculate pagination
     const pageNumber = Math.max(1, parseInt(page));
     const pageSize = Math.min(50, Math.max(1, parseInt(limit)));
     const skip = (pageNumber - 1) * pageSize;
 
-    // Find campaigns where creator has applied
-    const campaigns = await Campaign.find({
-      "appliedCreators.creator": creatorId
-    })
-    .populate("brand", "brandName email")
-    .sort({ "appliedCreators.appliedAt": -1 })
-    .skip(skip)
-    .limit(pageSize);
-
-    // Add application date to each campaign
-    const campaignsWithApplicationDate = campaigns.map(campaign => {
-      const application = campaign.appliedCreators.find(
-        app => app.creator.toString() === creatorId.toString()
-      );
-      
-      return {
-        ...campaign.toObject(),
-        appliedAt: application.appliedAt,
-        applicationCount: campaign.appliedCreators.length
-      };
-    });
+    // Build filter
+    const filter = { creator: creatorId };
+    if (status && Application.STATUSES.includes(status)) {
+      filter.status = status;
+    }
 
-    const totalCount = await Campaign.countDocuments({
-      "appliedCreators.creator": creatorId
-    });
+    // Find the creator's applications with their campaigns
+    const applications = await Application.find(filter)
+      .populate({
+        path: "campaign",
+        populate: { path: "brand", select: "brandName email" }
+      })
+      .sort({ appliedAt: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean();
+
+    // Skip applications whose campaign was deleted
+    const validApplications = applications.filter(app => app.campaign);
+    const applicationCounts = await Application.countByCampaign(
+      validApplications.map(app => app.campaign._id)
+    );
+
+    // Add application details to each campaign
+    const campaignsWithApplicationDate = validApplications.map(app => ({
+      ...app.campaign,
+      appliedAt: app.appliedAt,
+      application: {
+        id: app._id,
+        status: app.status,
+        pitch: app.pitch,
+        quotedRate: app.quotedRate,
+        brandNote: app.brandNote
+      },
+      applicationCount: applicationCounts.get(app.campaign._id.toString()) || 0
+    }));
+
+    const totalCount = await Application.countDocuments(filter);
     const totalPages = Math.ceil(totalCount / pageSize);
 
     res.status(200).json({
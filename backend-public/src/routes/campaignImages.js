@@ -0,0 +1,210 @@
+// backend/routes/campaignImages.js
+// Mounted at /api/campaigns/:campaignId/images. The first image is the cover.
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+const Invitation = require("../models/Invitation");
+const { authenticate, authorizeRoles, requireActive } = require("../middleware/auth");
+const { uploadCampaignImages, removeUploadedFiles } = require("../middleware/upload");
+const { processUploadedImages, removeImageFiles } = require("../services/campaignMedia");
+
+const findOwnCampaign = (req) =>
+  Campaign.findOne({ _id: req.params.campaignId, brand: req.user._id });
+
+// GET /api/campaigns/:campaignId/images - List campaign images
+// Same access rules as GET /api/campaigns/:id
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const campaign = await Campaign.findById(req.params.campaignId).select("brand brandVisible visibility images");
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    if (req.user.role === "brand" && campaign.brand.toString() !== userId.toString()) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (req.user.role === "creator") {
+      // Hidden brands and invite-only campaigns the creator was never invited to
+      if (!campaign.hasVisibleBrand()) {
+        return res.status(404).json({ error: "Campaign not found" });
+      }
+      if (campaign.visibility === "invite_only") {
+        const [invited, applied] = await Promise.all([
+          Invitation.exists({
+            campaign: campaign._id,
+            creator: userId,
+            status: { $in: Invitation.ACTIVE_STATUSES },
+          }),
+          Application.exists({ campaign: campaign._id, creator: userId }),
+        ]);
+        if (!invited && !applied) {
+          return res.status(404).json({ error: "Campaign not found" });
+        }
+      }
+    }
+
+    res.status(200).json({ images: campaign.images });
+  } catch (err) {
+    console.error("Get campaign images error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/campaigns/:campaignId/images - Add images (for brands)
+router.post("/", authenticate, authorizeRoles("brand"), requireActive, uploadCampaignImages, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: "At least one image is required" });
+    }
+
+    const campaign = await findOwnCampaign(req);
+    if (!campaign) {
+      await removeUploadedFiles(files);
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    if (campaign.images.length + files.length > Campaign.MAX_IMAGES) {
+      await removeUploadedFiles(files);
+      return res.status(400).json({
+        error: `A campaign can have at most ${Campaign.MAX_IMAGES} images`,
+      });
+    }
+
+    const images = await processUploadedImages(files);
+    await removeUploadedFiles(files);
+
+    // Append atomically, re-checking the limit against concurrent uploads
+    const updated = await Campaign.findOneAndUpdate(
+      {
+        _id: campaign._id,
+        [`images.${Campaign.MAX_IMAGES - images.length}`]: { $exists: false },
+      },
+      { $push: { images: { $each: images } } },
+      { new: true }
+    ).select("images");
+
+    if (!updated) {
+      await removeImageFiles(images);
+      return res.status(400).json({
+        error: `A campaign can have at most ${Campaign.MAX_IMAGES} images`,
+      });
+    }
+
+    res.status(201).json({
+      message: "Images added successfully",
+      images: updated.images,
+    });
+  } catch (err) {
+    await removeUploadedFiles(req.files);
+    if (err.type === "upload.invalid.image") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Add campaign images error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PUT /api/campaigns/:campaignId/images/order - Reorder images (for brands)
+router.put("/order", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    if (!Array.isArray(imageIds)) {
+      return res.status(400).json({ error: "imageIds must be an array of image IDs" });
+    }
+
+    const campaign = await findOwnCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    // The new order must list every current image exactly once
+    const currentIds = campaign.images.map((image) => image._id.toString());
+    const requestedIds = imageIds.map(String);
+    const isPermutation =
+      requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every((id) => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        error: "imageIds must contain each of the campaign's image IDs exactly once",
+      });
+    }
+
+    campaign.images = requestedIds.map((id) => campaign.images.id(id));
+    await campaign.save();
+
+    res.status(200).json({
+      message: "Images reordered successfully",
+      images: campaign.images,
+    });
+  } catch (err) {
+    console.error("Reorder campaign images error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PUT /api/campaigns/:campaignId/images/:imageId/cover - Make an image the cover (for brands)
+router.put("/:imageId/cover", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const image = campaign.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    campaign.images = [
+      image,
+      ...campaign.images.filter((other) => other._id.toString() !== image._id.toString()),
+    ];
+    await campaign.save();
+
+    res.status(200).json({
+      message: "Cover image updated successfully",
+      images: campaign.images,
+    });
+  } catch (err) {
+    console.error("Set cover image error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/campaigns/:campaignId/images/:imageId - Remove an image (for brands)
+router.delete("/:imageId", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const image = campaign.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const removed = image.toObject();
+    image.deleteOne();
+    await campaign.save();
+    await removeImageFiles([removed]);
+
+    res.status(200).json({
+      message: "Image removed successfully",
+      images: campaign.images,
+    });
+  } catch (err) {
+    console.error("Delete campaign image error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+// backend/routes/campaignInvitations.js
+// Mounted at /api/campaigns/:campaignId/invitations. Brands invite creators
+// directly; invited creators can see and join invite-only campaigns.
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router({ mergeParams: true });
+const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+const Invitation = require("../models/Invitation");
+const SavedProfile = require("../models/SavedProfile");
+const User = require("../models/User");
+const { authenticate, authorizeRoles, requireActive } = require("../middleware/auth");
+
+// Most creators a single request can invite
+const MAX_INVITES_PER_REQUEST = 100;
+
+const findOwnCampaign = (req) =>
+  Campaign.findOne({ _id: req.params.campaignId, brand: req.user._id });
+
+// GET /api/campaigns/:campaignId/invitations - List invitations (for brands)
+router.get("/", authenticate, authorizeRoles("brand"), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const campaign = await findOwnCampaign(req).select("_id");
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const filter = { campaign: campaign._id };
+    if (status) {
+      if (!Invitation.STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Invalid status filter" });
+      }
+      filter.status = status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate("creator", "instaUsername city niche scrapedData.followers scrapedData.profileHD")
+      .sort({ invitedAt: -1 });
+
+    res.status(200).json({ invitations });
+  } catch (err) {
+    console.error("Get campaign invitations error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/campaigns/:campaignId/invitations - Invite creators (for brands)
+// Body: { creatorIds: [...] } or { fromSavedProfiles: true, tag? }, plus an optional message
+router.post("/", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const { creatorIds, fromSavedProfiles, tag, message } = req.body;
+
+    if (message && message.length > 500) {
+      return res.status(400).json({ error: "Message cannot exceed 500 characters" });
+    }
+
+    const campaign = await findOwnCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    if (!["draft", "active"].includes(campaign.status)) {
+      return res.status(400).json({ error: "Only draft or active campaigns can send invitations" });
+    }
+
+    let targetIds;
+    if (fromSavedProfiles) {
+      const savedFilter = { user: req.user._id };
+      if (tag) savedFilter.tags = tag;
+      targetIds = await SavedProfile.distinct("savedProfile", savedFilter);
+    } else {
+      if (!Array.isArray(creatorIds) || creatorIds.length === 0) {
+        return res.status(400).json({ error: "creatorIds must be a non-empty array" });
+      }
+      if (creatorIds.some((creatorId) => !mongoose.Types.ObjectId.isValid(creatorId))) {
+        return res.status(400).json({ error: "creatorIds contains an invalid id" });
+      }
+      targetIds = [...new Set(creatorIds.map(String))];
+    }
+
+    if (targetIds.length === 0) {
+      return res.status(400).json({ error: "No creators to invite" });
+    }
+    if (targetIds.length > MAX_INVITES_PER_REQUEST) {
+      return res.status(400).json({
+        error: `You can invite at most ${MAX_INVITES_PER_REQUEST} creators at a time`,
+      });
+    }
+
+    // Only active creators can be invited
+    const creators = await User.find({
+      _id: { $in: targetIds },
+      role: "creator",
+      ...User.visibleFilter(),
+    }).select("_id");
+
+    // Skip creators who already applied or already hold an invitation
+    const [applied, invitedIds] = await Promise.all([
+      Application.distinct("creator", {
+        campaign: campaign._id,
+        status: { $nin: Application.INACTIVE_STATUSES },
+      }),
+      Invitation.distinct("creator", {
+        campaign: campaign._id,
+        status: { $in: Invitation.ACTIVE_STATUSES },
+      }),
+    ]);
+    const skip = new Set([...applied, ...invitedIds].map(String));
+    const toInvite = creators.filter((creator) => !skip.has(creator._id.toString()));
+
+    const note = message?.trim();
+    const update = {
+      $set: { brand: req.user._id, status: "pending", invitedAt: new Date() },
+      $unset: { respondedAt: "" },
+    };
+    if (note) update.$set.message = note;
+    else update.$unset.message = "";
+
+    // Declined or revoked invitations are re-opened
+    if (toInvite.length > 0) {
+      await Invitation.bulkWrite(
+        toInvite.map((creator) => ({
+          updateOne: {
+            filter: { campaign: campaign._id, creator: creator._id },
+            update,
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    const invitations = await Invitation.find({
+      campaign: campaign._id,
+      creator: { $in: toInvite.map((creator) => creator._id) },
+    });
+
+    // Notify invited creators in real time
+    const io = req.app.get("io");
+    if (io) {
+      invitations.forEach((invitation) => {
+        io.to(`user_${invitation.creator}`).emit("campaign_invitation", {
+          invitationId: invitation._id,
+          campaign: { id: campaign._id, name: campaign.name },
+          brand: { id: req.user._id, brandName: req.user.brandName },
+          message: invitation.message,
+        });
+      });
+    }
+
+    res.status(201).json({
+      message: `${invitations.length} creators invited`,
+      invitations,
+      skipped: targetIds.length - invitations.length,
+    });
+  } catch (err) {
+    console.error("Invite creators error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/campaigns/:campaignId/invitations/:invitationId - Revoke a pending invitation (for brands)
+router.delete("/:invitationId", authenticate, authorizeRoles("brand"), async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req).select("_id name");
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, campaign: campaign._id, status: "pending" },
+      { status: "revoked", respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ error: "Pending invitation not found" });
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`user_${invitation.creator}`).emit("campaign_invitation_revoked", {
+        invitationId: invitation._id,
+        campaign: { id: campaign._id, name: campaign.name },
+      });
+    }
+
+    res.status(200).json({ message: "Invitation revoked", invitation });
+  } catch (err) {
+    console.error("Revoke invitation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
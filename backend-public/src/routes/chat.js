@@ -3,11 +3,26 @@ const router = express.Router();
 const Chat = require("../models/Chat");
 const Message = require("../models/Message");
 const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
 const User = require("../models/User");
-const { authenticate, authorizeRoles } = require("../middleware/auth");
+const { authenticate, authorizeRoles, requireActive } = require("../middleware/auth");
+const { uploadChatAttachments, removeUploadedFiles } = require("../middleware/upload");
+const {
+  findParticipantChat,
+  postSystemMessage,
+  deliverMessage,
+  displayName,
+  markDelivered,
+  sendMessage,
+  serializeMessage,
+  getAttachmentUrl,
+  getUnreadCounts,
+  markChatRead,
+  emitReadReceipt,
+} = require("../services/chatService");
 
 // POST /api/chats/initiate - Initiate chat (brand recruits creator)
-router.post("/initiate", authenticate, authorizeRoles("brand"), async (req, res) => {
+router.post("/initiate", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
   try {
     const { campaignId, creatorId, initialMessage } = req.body;
     const brandId = req.user._id;
@@ -30,22 +45,24 @@ router.post("/initiate", authenticate, authorizeRoles("brand"), async (req, res)
       });
     }
 
-    // Verify creator applied to this campaign
-    const hasApplied = campaign.appliedCreators.some(
-      app => app.creator.toString() === creatorId
-    );
+    // Verify creator has an open application to this campaign
+    const application = await Application.findOne({
+      campaign: campaignId,
+      creator: creatorId,
+      status: { $nin: ["rejected", "withdrawn"] }
+    });
 
-    if (!hasApplied) {
+    if (!application) {
       return res.status(400).json({ 
         error: "Creator has not applied to this campaign" 
       });
     }
 
-    // Verify creator exists and is approved
+    // Verify creator exists and is active
     const creator = await User.findOne({ 
       _id: creatorId, 
       role: "creator", 
-      status: "approved" 
+      ...User.visibleFilter()
     });
 
     if (!creator) {
@@ -155,21 +172,12 @@ router.get("/", authenticate, async (req, res) => {
       .skip(skip)
       .limit(pageSize);
 
-    // Get unread message counts for each chat
-    const chatsWithUnreadCount = await Promise.all(
-      chats.map(async (chat) => {
-        const unreadCount = await Message.countDocuments({
-          chat: chat._id,
-          sender: { $ne: userId },
-          status: { $ne: "read" },
-        });
-
-        return {
-          ...chat.toObject(),
-          unreadCount,
-        };
-      })
-    );
+    // Get unread message counts for all chats at once
+    const unreadCounts = await getUnreadCounts(chats, userId);
+    const chatsWithUnreadCount = chats.map((chat) => ({
+      ...chat.toObject(),
+      unreadCount: unreadCounts.get(chat._id.toString()) || 0,
+    }));
 
     const totalCount = await Chat.countDocuments(filter);
     const totalPages = Math.ceil(totalCount / pageSize);
@@ -248,11 +256,21 @@ router.get("/:chatId/messages", authenticate, async (req, res) => {
     // Reverse to show oldest first
     messages.reverse();
 
+    // Fetching messages counts as receiving them
+    const undelivered = messages.filter(
+      (m) => m.status === "sent" && m.sender && m.sender._id.toString() !== userId.toString()
+    );
+    const io = req.app.get('io');
+    await Promise.all(undelivered.map((m) => markDelivered(io, chat._id, m)));
+    undelivered.forEach((m) => {
+      m.status = "delivered";
+    });
+
     const totalCount = await Message.countDocuments({ chat: chatId });
     const totalPages = Math.ceil(totalCount / pageSize);
 
     res.status(200).json({
-      messages,
+      messages: await Promise.all(messages.map(serializeMessage)),
       pagination: {
         currentPage: pageNumber,
         totalPages,
@@ -268,73 +286,79 @@ router.get("/:chatId/messages", authenticate, async (req, res) => {
   }
 });
 
-// POST /api/chats/:chatId/messages - Send a message
-router.post("/:chatId/messages", authenticate, async (req, res) => {
+// POST /api/chats/:chatId/messages - Send a message, optionally with attachments
+// (multipart field "attachments": images, PDFs or short videos, up to 5 files)
+router.post("/:chatId/messages", authenticate, requireActive, uploadChatAttachments, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const userId = req.user._id;
-    const { content, messageType = "text", offerDetails } = req.body;
+    const { content, messageType = "text", clientMessageId } = req.body;
 
-    if (!content || content.trim() === "") {
-      return res.status(400).json({ error: "Message content is required" });
+    // Offers have their own endpoints; system messages are server-generated
+    if (messageType !== "text") {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({
+        error: "Only text messages can be sent here. Use /offers to send an offer",
+      });
     }
 
-    // Verify user is participant in this chat
-    const chat = await Chat.findOne({
-      _id: chatId,
-      participants: userId,
-      status: "active",
+    const result = await sendMessage(req.app.get('io'), {
+      chatId,
+      sender: req.user,
+      content,
+      clientMessageId,
+      attachments: req.files || [],
     });
 
-    if (!chat) {
-      return res.status(404).json({ error: "Chat not found or inactive" });
+    // Nothing was stored for rejected or repeated sends
+    if (result.error || result.duplicate) {
+      await removeUploadedFiles(req.files);
     }
 
-    // Create message
-    const newMessage = new Message({
-      chat: chatId,
-      sender: userId,
-      content: content.trim(),
-      messageType,
-      ...(messageType === "offer" && offerDetails && { offerDetails }),
-    });
-
-    await newMessage.save();
-
-    // Update chat's last message and activity
-    chat.lastMessage = newMessage._id;
-    chat.lastActivity = new Date();
-    await chat.save();
-
-    // Populate message for response
-    const populatedMessage = await Message.findById(newMessage._id)
-      .populate("sender", "brandName instaUsername role");
-
-    // Emit socket event to other participants
-    const io = req.app.get('io');
-    if (io) {
-      const otherParticipants = chat.participants.filter(
-        p => p.toString() !== userId.toString()
-      );
-
-      otherParticipants.forEach(participantId => {
-        io.to(`user_${participantId}`).emit('new_message', {
-          chatId,
-          message: populatedMessage,
-        });
-      });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    res.status(201).json({
-      message: "Message sent successfully",
-      messageData: populatedMessage,
+    res.status(result.duplicate ? 200 : 201).json({
+      message: result.duplicate ? "Message already sent" : "Message sent successfully",
+      messageData: result.message,
     });
   } catch (err) {
+    await removeUploadedFiles(req.files);
     console.error("Send message error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// GET /api/chats/:chatId/messages/:messageId/attachments/:attachmentId - Redirect to a signed download URL (participants only)
+router.get(
+  "/:chatId/messages/:messageId/attachments/:attachmentId",
+  authenticate,
+  async (req, res) => {
+    try {
+      const { chatId, messageId, attachmentId } = req.params;
+
+      const chat = await findParticipantChat(chatId, req.user._id);
+      if (!chat) {
+        return res.status(404).json({ error: "Chat not found" });
+      }
+
+      const message = await Message.findOne({ _id: messageId, chat: chat._id })
+        .select("attachments");
+      const attachment = message?.attachments.id(attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+
+      // Hand out a short-lived signed URL for the file
+      res.setHeader("Cache-Control", "no-store");
+      res.redirect(await getAttachmentUrl(attachment));
+    } catch (err) {
+      console.error("Download attachment error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 // PATCH /api/chats/:chatId/messages/:messageId/read - Mark message as read
 router.patch("/:chatId/messages/:messageId/read", authenticate, async (req, res) => {
   try {
@@ -351,29 +375,19 @@ router.patch("/:chatId/messages/:messageId/read", authenticate, async (req, res)
       return res.status(404).json({ error: "Chat not found" });
     }
 
-    // Update message read status
-    const message = await Message.findOneAndUpdate(
-      {
-        _id: messageId,
-        chat: chatId,
-        sender: { $ne: userId }, // Can't mark own messages as read
-      },
-      {
-        status: "read",
-        $addToSet: {
-          readBy: {
-            user: userId,
-            readAt: new Date(),
-          },
-        },
-      },
-      { new: true }
-    );
+    const message = await Message.findOne({ _id: messageId, chat: chatId })
+      .select("_id createdAt");
 
     if (!message) {
       return res.status(404).json({ error: "Message not found" });
     }
 
+    // Everything up to and including this message is now read
+    const readState = await markChatRead(chat._id, userId, message);
+    if (readState) {
+      emitReadReceipt(req.app.get('io'), chat, userId, readState);
+    }
+
     res.status(200).json({ message: "Message marked as read" });
   } catch (err) {
     console.error("Mark message read error:", err);
@@ -397,33 +411,312 @@ router.patch("/:chatId/read-all", authenticate, async (req, res) => {
       return res.status(404).json({ error: "Chat not found" });
     }
 
-    // Mark all unread messages as read
-    await Message.updateMany(
+    // Move the read marker to the latest message
+    const latestMessage = await Message.findOne({ chat: chatId })
+      .sort({ createdAt: -1 })
+      .select("_id createdAt");
+
+    if (latestMessage) {
+      const readState = await markChatRead(chat._id, userId, latestMessage);
+      if (readState) {
+        emitReadReceipt(req.app.get('io'), chat, userId, readState);
+      }
+    }
+
+    res.status(200).json({ message: "All messages marked as read" });
+  } catch (err) {
+    console.error("Mark all read error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Validate offer terms from the request body
+const parseOfferDetails = ({ amount, currency, description, deadline }) => {
+  const parsedAmount = Number(amount);
+  if (amount === undefined || amount === "" || !Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    return { error: "Offer amount must be a positive number" };
+  }
+
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    return { error: "Offer description must be text" };
+  }
+
+  if (description && description.length > 1000) {
+    return { error: "Offer description cannot exceed 1000 characters" };
+  }
+
+  let parsedDeadline;
+  if (deadline) {
+    parsedDeadline = new Date(deadline);
+    if (isNaN(parsedDeadline.getTime())) {
+      return { error: "Invalid offer deadline" };
+    }
+  }
+
+  return {
+    offerDetails: {
+      amount: parsedAmount,
+      currency: currency ? String(currency).trim().toUpperCase() : "USD",
+      description: description?.trim(),
+      deadline: parsedDeadline,
+      status: "pending",
+    },
+  };
+};
+
+const describeOffer = ({ amount, currency, description }) =>
+  `${currency} ${amount}${description ? ` - ${description}` : ""}`;
+
+// Create an offer message, update the chat and notify the other participants
+const createOffer = async (req, chat, offerDetails, content) => {
+  const userId = req.user._id;
+
+  const offerMessage = new Message({
+    chat: chat._id,
+    sender: userId,
+    content,
+    messageType: "offer",
+    offerDetails,
+  });
+  await offerMessage.save();
+
+  chat.lastMessage = offerMessage._id;
+  chat.lastActivity = new Date();
+  chat.recruitmentStatus = "offer_sent";
+  await chat.save();
+
+  const populatedMessage = await Message.findById(offerMessage._id)
+    .populate("sender", "brandName instaUsername role");
+
+  deliverMessage(req.app.get('io'), chat, populatedMessage);
+
+  return populatedMessage;
+};
+
+// Notify both participants that an offer changed state
+const emitOfferUpdate = (req, chat, offer) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  chat.participants.forEach(participantId => {
+    io.to(`user_${participantId}`).emit('offer_updated', {
+      chatId: chat._id,
+      offerId: offer._id,
+      status: offer.offerDetails.status,
+      recruitmentStatus: chat.recruitmentStatus,
+    });
+  });
+};
+
+// Load an active chat the user participates in
+const findActiveChat = (chatId, userId) =>
+  Chat.findOne({
+    _id: chatId,
+    participants: userId,
+    status: "active",
+  });
+
+// POST /api/chats/:chatId/offers - Send an offer
+router.post("/:chatId/offers", authenticate, requireActive, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const userId = req.user._id;
+
+    const { offerDetails, error } = parseOfferDetails(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const chat = await findActiveChat(chatId, userId);
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found or inactive" });
+    }
+
+    if (["accepted", "completed"].includes(chat.recruitmentStatus)) {
+      return res.status(400).json({ error: "An offer has already been accepted in this chat" });
+    }
+
+    // Only one open offer at a time; it must be countered or withdrawn first
+    const openOffer = await Message.exists({
+      chat: chat._id,
+      messageType: "offer",
+      "offerDetails.status": "pending",
+    });
+    if (openOffer) {
+      return res.status(400).json({
+        error: "There is already an open offer in this chat. Counter or withdraw it instead",
+      });
+    }
+
+    const offer = await createOffer(
+      req,
+      chat,
+      offerDetails,
+      `${displayName(req.user)} sent an offer: ${describeOffer(offerDetails)}`
+    );
+    emitOfferUpdate(req, chat, offer);
+
+    res.status(201).json({
+      message: "Offer sent successfully",
+      offer,
+      recruitmentStatus: chat.recruitmentStatus,
+    });
+  } catch (err) {
+    console.error("Send offer error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/chats/:chatId/offers/:offerId/counter - Counter an offer with new terms
+router.post("/:chatId/offers/:offerId/counter", authenticate, requireActive, async (req, res) => {
+  try {
+    const { chatId, offerId } = req.params;
+    const userId = req.user._id;
+
+    const { offerDetails, error } = parseOfferDetails(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const chat = await findActiveChat(chatId, userId);
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found or inactive" });
+    }
+
+    // Only the counterparty can counter a pending offer
+    const original = await Message.findOneAndUpdate(
       {
-        chat: chatId,
+        _id: offerId,
+        chat: chat._id,
+        messageType: "offer",
+        "offerDetails.status": "pending",
         sender: { $ne: userId },
-        status: { $ne: "read" },
       },
       {
-        status: "read",
-        $addToSet: {
-          readBy: {
-            user: userId,
-            readAt: new Date(),
-          },
-        },
-      }
+        "offerDetails.status": "countered",
+        "offerDetails.respondedBy": userId,
+        "offerDetails.respondedAt": new Date(),
+      },
+      { new: true }
     );
 
-    res.status(200).json({ message: "All messages marked as read" });
+    if (!original) {
+      return res.status(404).json({ error: "No pending offer from the other participant found" });
+    }
+
+    offerDetails.counterOf = original._id;
+    const offer = await createOffer(
+      req,
+      chat,
+      offerDetails,
+      `${displayName(req.user)} countered with: ${describeOffer(offerDetails)}`
+    );
+    emitOfferUpdate(req, chat, original);
+    emitOfferUpdate(req, chat, offer);
+
+    res.status(201).json({
+      message: "Counter offer sent successfully",
+      offer,
+      recruitmentStatus: chat.recruitmentStatus,
+    });
   } catch (err) {
-    console.error("Mark all read error:", err);
+    console.error("Counter offer error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// Settle a pending offer (accept, decline or withdraw)
+const OFFER_RESPONSES = {
+  accept: {
+    status: "accepted",
+    byCounterparty: true,
+    recruitmentStatus: "accepted",
+    systemMessageType: "offer_accepted",
+    describe: (user, offer) => `${displayName(user)} accepted the offer: ${describeOffer(offer.offerDetails)}`,
+  },
+  decline: {
+    status: "declined",
+    byCounterparty: true,
+    recruitmentStatus: "declined",
+    systemMessageType: "offer_declined",
+    describe: (user, offer) => `${displayName(user)} declined the offer: ${describeOffer(offer.offerDetails)}`,
+  },
+  withdraw: {
+    status: "withdrawn",
+    byCounterparty: false,
+    recruitmentStatus: "discussing",
+    systemMessageType: "offer_withdrawn",
+    describe: (user, offer) => `${displayName(user)} withdrew the offer: ${describeOffer(offer.offerDetails)}`,
+  },
+};
+
+const respondToOffer = (action) => async (req, res) => {
+  try {
+    const { chatId, offerId } = req.params;
+    const userId = req.user._id;
+    const response = OFFER_RESPONSES[action];
+
+    const chat = await findActiveChat(chatId, userId);
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found or inactive" });
+    }
+
+    // Accept/decline is for the counterparty, withdraw for the sender
+    const offer = await Message.findOneAndUpdate(
+      {
+        _id: offerId,
+        chat: chat._id,
+        messageType: "offer",
+        "offerDetails.status": "pending",
+        sender: response.byCounterparty ? { $ne: userId } : userId,
+      },
+      {
+        "offerDetails.status": response.status,
+        "offerDetails.respondedBy": userId,
+        "offerDetails.respondedAt": new Date(),
+      },
+      { new: true }
+    );
+
+    if (!offer) {
+      return res.status(404).json({
+        error: response.byCounterparty
+          ? "No pending offer from the other participant found"
+          : "No pending offer of yours found",
+      });
+    }
+
+    chat.recruitmentStatus = response.recruitmentStatus;
+    const systemMessage = await postSystemMessage(req.app.get('io'), chat, {
+      sender: userId,
+      content: response.describe(req.user, offer),
+      systemMessageType: response.systemMessageType,
+    });
+    emitOfferUpdate(req, chat, offer);
+
+    res.status(200).json({
+      message: `Offer ${response.status}`,
+      offer,
+      systemMessage,
+      recruitmentStatus: chat.recruitmentStatus,
+    });
+  } catch (err) {
+    console.error(`Offer ${action} error:`, err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// POST /api/chats/:chatId/offers/:offerId/accept - Accept an offer (counterparty only)
+router.post("/:chatId/offers/:offerId/accept", authenticate, requireActive, respondToOffer("accept"));
+
+// POST /api/chats/:chatId/offers/:offerId/decline - Decline an offer (counterparty only)
+router.post("/:chatId/offers/:offerId/decline", authenticate, requireActive, respondToOffer("decline"));
+
+// POST /api/chats/:chatId/offers/:offerId/withdraw - Withdraw your own offer
+router.post("/:chatId/offers/:offerId/withdraw", authenticate, requireActive, respondToOffer("withdraw"));
+
 // PATCH /api/chats/:chatId/status - Update chat status
-router.patch("/:chatId/status", authenticate, async (req, res) => {
+router.patch("/:chatId/status", authenticate, requireActive, async (req, res) => {
   try {
     const { chatId } = req.params;
     const userId = req.user._id;
@@ -433,8 +726,11 @@ router.patch("/:chatId/status", authenticate, async (req, res) => {
       return res.status(400).json({ error: "Invalid status" });
     }
 
-    if (recruitmentStatus && !["discussing", "offer_sent", "accepted", "declined", "completed"].includes(recruitmentStatus)) {
-      return res.status(400).json({ error: "Invalid recruitment status" });
+    // Offer states are driven by the /offers endpoints; only completion is set here
+    if (recruitmentStatus && recruitmentStatus !== "completed") {
+      return res.status(400).json({
+        error: "Recruitment status can only be set to 'completed'. Use the offer endpoints to send, accept or decline offers",
+      });
     }
 
     // Verify user is participant in this chat
@@ -447,6 +743,15 @@ router.patch("/:chatId/status", authenticate, async (req, res) => {
       return res.status(404).json({ error: "Chat not found" });
     }
 
+    if (recruitmentStatus === "completed") {
+      if (chat.initiatedBy.toString() !== userId.toString()) {
+        return res.status(403).json({ error: "Only the brand can mark the collaboration as completed" });
+      }
+      if (chat.recruitmentStatus !== "accepted") {
+        return res.status(400).json({ error: "Only chats with an accepted offer can be completed" });
+      }
+    }
+
     // Update chat status
     const updateData = {};
     if (status) updateData.status = status;
@@ -484,11 +789,9 @@ router.get("/stats/overview", authenticate, async (req, res) => {
     ]);
 
     // Get unread message count
-    const unreadCount = await Message.countDocuments({
-      chat: { $in: await Chat.distinct("_id", { participants: userId }) },
-      sender: { $ne: userId },
-      status: { $ne: "read" },
-    });
+    const chats = await Chat.find({ participants: userId }).select("readState");
+    const unreadCounts = await getUnreadCounts(chats, userId);
+    const unreadCount = [...unreadCounts.values()].reduce((sum, count) => sum + count, 0);
 
     const statsObj = {
       total: 0,
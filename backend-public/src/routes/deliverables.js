@@ -0,0 +1,431 @@
+// backend/routes/deliverables.js
+// Mounted at /api/campaigns/:campaignId/deliverables
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+const Submission = require("../models/Submission");
+const { authenticate, authorizeRoles, requireActive } = require("../middleware/auth");
+const { findCampaignChat, postSystemMessage } = require("../services/chatService");
+
+const DELIVERABLE_TYPES = ["reel", "story", "post"];
+
+// Length limits, matching the schemas
+const MAX_TITLE_LENGTH = 200;
+const MAX_TEXT_LENGTH = 2000;
+
+// Optional free text from a request body must be a string when present
+const isOptionalText = (value) =>
+  value === undefined || value === null || typeof value === "string";
+
+// Validate and normalize a deliverable from the request body
+const parseDeliverable = (body, { partial = false } = {}) => {
+  const { type, title, brief, dueDate } = body;
+  const deliverable = {};
+
+  if (type !== undefined || !partial) {
+    if (!DELIVERABLE_TYPES.includes(type)) {
+      return { error: `Deliverable type must be one of: ${DELIVERABLE_TYPES.join(", ")}` };
+    }
+    deliverable.type = type;
+  }
+
+  if (title !== undefined) deliverable.title = String(title).trim();
+  if (brief !== undefined) deliverable.brief = String(brief).trim();
+
+  if (deliverable.title && deliverable.title.length > MAX_TITLE_LENGTH) {
+    return { error: `Title cannot exceed ${MAX_TITLE_LENGTH} characters` };
+  }
+  if (deliverable.brief && deliverable.brief.length > MAX_TEXT_LENGTH) {
+    return { error: `Brief cannot exceed ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  if (dueDate !== undefined) {
+    if (dueDate === null || dueDate === "") {
+      deliverable.dueDate = undefined;
+    } else {
+      const parsedDate = new Date(dueDate);
+      if (isNaN(parsedDate.getTime())) {
+        return { error: "Invalid due date" };
+      }
+      deliverable.dueDate = parsedDate;
+    }
+  }
+
+  return { deliverable };
+};
+
+// Human readable label used in chat messages
+const describeDeliverable = (deliverable) => {
+  const type = deliverable.type.charAt(0).toUpperCase() + deliverable.type.slice(1);
+  return deliverable.title ? `${type}: ${deliverable.title}` : type;
+};
+
+// Log a transition in the brand-creator chat, if one exists
+const logToChat = async (req, submission, { sender, content, systemMessageType }) => {
+  const io = req.app.get("io");
+  const chat = await findCampaignChat(submission.campaign, submission.brand, submission.creator);
+
+  if (chat) {
+    await postSystemMessage(io, chat, { sender, content, systemMessageType });
+  }
+
+  if (io) {
+    [submission.brand, submission.creator].forEach((userId) => {
+      io.to(`user_${userId}`).emit("submission_updated", {
+        campaignId: submission.campaign,
+        deliverableId: submission.deliverable,
+        submissionId: submission._id,
+        status: submission.status,
+      });
+    });
+  }
+};
+
+// GET /api/campaigns/:campaignId/deliverables - List deliverables with submissions
+router.get("/", authenticate, authorizeRoles("brand", "creator"), async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const userId = req.user._id;
+
+    const campaign = await Campaign.findById(campaignId).select("name brand deliverables");
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const submissionFilter = { campaign: campaign._id };
+
+    if (req.user.role === "brand") {
+      if (campaign.brand.toString() !== userId.toString()) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+    } else {
+      // Only hired creators see deliverables, and only their own submissions
+      const hired = await Application.exists({
+        campaign: campaign._id,
+        creator: userId,
+        status: "hired",
+      });
+      if (!hired) {
+        return res.status(403).json({ error: "You are not hired for this campaign" });
+      }
+      submissionFilter.creator = userId;
+    }
+
+    const submissions = await Submission.find(submissionFilter)
+      .populate("creator", "instaUsername email")
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const deliverables = campaign.deliverables.map((deliverable) => ({
+      ...deliverable.toObject(),
+      submissions: submissions.filter(
+        (s) => s.deliverable.toString() === deliverable._id.toString()
+      ),
+    }));
+
+    res.status(200).json({
+      campaign: { id: campaign._id, name: campaign.name },
+      deliverables,
+    });
+  } catch (err) {
+    console.error("Get deliverables error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/campaigns/:campaignId/deliverables - Add a deliverable (for brands)
+router.post("/", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    const { deliverable, error } = parseDeliverable(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, brand: req.user._id });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    campaign.deliverables.push(deliverable);
+    await campaign.save();
+
+    res.status(201).json({
+      message: "Deliverable added successfully",
+      deliverable: campaign.deliverables[campaign.deliverables.length - 1],
+    });
+  } catch (err) {
+    console.error("Add deliverable error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PATCH /api/campaigns/:campaignId/deliverables/:deliverableId - Update a deliverable (for brands)
+router.patch("/:deliverableId", authenticate, authorizeRoles("brand"), requireActive, async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params;
+
+    const { deliverable: updates, error } = parseDeliverable(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, brand: req.user._id });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const deliverable = campaign.deliverables.id(deliverableId);
+    if (!deliverable) {
+      return res.status(404).json({ error: "Deliverable not found" });
+    }
+
+    deliverable.set(updates);
+    await campaign.save();
+
+    res.status(200).json({
+      message: "Deliverable updated successfully",
+      deliverable,
+    });
+  } catch (err) {
+    console.error("Update deliverable error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/campaigns/:campaignId/deliverables/:deliverableId - Remove a deliverable (for brands)
+router.delete("/:deliverableId", authenticate, authorizeRoles("brand"), async (req, res) => {
+  try {
+    const { campaignId, deliverableId } = req.params;
+
+    const campaign = await Campaign.findOne({ _id: campaignId, brand: req.user._id });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const deliverable = campaign.deliverables.id(deliverableId);
+    if (!deliverable) {
+      return res.status(404).json({ error: "Deliverable not found" });
+    }
+
+    deliverable.deleteOne();
+    await campaign.save();
+    await Submission.deleteMany({ campaign: campaign._id, deliverable: deliverableId });
+
+    res.status(200).json({ message: "Deliverable removed successfully" });
+  } catch (err) {
+    console.error("Delete deliverable error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/campaigns/:campaignId/deliverables/:deliverableId/submissions - Submit a draft or final post (for creators)
+router.post(
+  "/:deliverableId/submissions",
+  authenticate,
+  authorizeRoles("creator"),
+  requireActive,
+  async (req, res) => {
+    try {
+      const { campaignId, deliverableId } = req.params;
+      const { kind, url, notes } = req.body;
+      const creatorId = req.user._id;
+
+      if (!["draft", "final"].includes(kind)) {
+        return res.status(400).json({ error: "Kind must be 'draft' or 'final'" });
+      }
+
+      if (typeof url !== "string" || url.trim() === "") {
+        return res.status(400).json({ error: "A link to the content is required" });
+      }
+
+      if (!isOptionalText(notes)) {
+        return res.status(400).json({ error: "Notes must be text" });
+      }
+
+      if (kind === "final") {
+        const instagramPostRegex = /^https:\/\/(www\.)?instagram\.com\/(p|reel|stories)\/[A-Za-z0-9_.\/-]+/;
+        if (!instagramPostRegex.test(url.trim())) {
+          return res.status(400).json({
+            error: "Invalid Instagram post URL format",
+            message: "Please provide the URL of the published post, reel or story",
+          });
+        }
+      }
+
+      const campaign = await Campaign.findById(campaignId).select("name brand deliverables");
+      if (!campaign) {
+        return res.status(404).json({ error: "Campaign not found" });
+      }
+
+      const deliverable = campaign.deliverables.id(deliverableId);
+      if (!deliverable) {
+        return res.status(404).json({ error: "Deliverable not found" });
+      }
+
+      const hired = await Application.exists({
+        campaign: campaign._id,
+        creator: creatorId,
+        status: "hired",
+      });
+      if (!hired) {
+        return res.status(403).json({ error: "You are not hired for this campaign" });
+      }
+
+      let submission = await Submission.findOne({
+        campaign: campaign._id,
+        deliverable: deliverable._id,
+        creator: creatorId,
+      });
+
+      if (!submission) {
+        submission = new Submission({
+          campaign: campaign._id,
+          deliverable: deliverable._id,
+          creator: creatorId,
+          brand: campaign.brand,
+        });
+      }
+
+      if (!submission.canSubmit(kind)) {
+        return res.status(400).json({
+          error: `Cannot submit a ${kind} while the submission is "${submission.status}"`,
+        });
+      }
+
+      submission.revisions.push({
+        kind,
+        url: url.trim(),
+        notes: notes?.trim(),
+        submittedAt: new Date(),
+      });
+      submission.status = kind === "draft" ? "draft_submitted" : "final_submitted";
+      if (kind === "final") {
+        submission.finalPostUrl = url.trim();
+      }
+      await submission.save();
+
+      await logToChat(req, submission, {
+        sender: creatorId,
+        content: `@${req.user.instaUsername} submitted a ${kind === "draft" ? "draft" : "final post"} for "${describeDeliverable(deliverable)}"`,
+        systemMessageType: "deliverable_submitted",
+      });
+
+      res.status(201).json({
+        message: `${kind === "draft" ? "Draft" : "Final post"} submitted successfully`,
+        submission,
+      });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        const validationErrors = Object.values(err.errors).map((e) => e.message);
+        return res.status(400).json({
+          error: "Validation failed",
+          details: validationErrors,
+        });
+      }
+      console.error("Submit deliverable error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/campaigns/:campaignId/deliverables/:deliverableId/submissions/:submissionId/review - Approve or request changes (for brands)
+router.post(
+  "/:deliverableId/submissions/:submissionId/review",
+  authenticate,
+  authorizeRoles("brand"),
+  requireActive,
+  async (req, res) => {
+    try {
+      const { campaignId, deliverableId, submissionId } = req.params;
+      const { decision, feedback } = req.body;
+      const brandId = req.user._id;
+
+      if (!["approved", "changes_requested"].includes(decision)) {
+        return res.status(400).json({
+          error: "Decision must be 'approved' or 'changes_requested'",
+        });
+      }
+
+      if (!isOptionalText(feedback)) {
+        return res.status(400).json({ error: "Feedback must be text" });
+      }
+
+      if (decision === "changes_requested" && (!feedback || feedback.trim() === "")) {
+        return res.status(400).json({
+          error: "Feedback is required when requesting changes",
+        });
+      }
+
+      if (feedback && feedback.trim().length > MAX_TEXT_LENGTH) {
+        return res.status(400).json({
+          error: `Feedback cannot exceed ${MAX_TEXT_LENGTH} characters`,
+        });
+      }
+
+      const campaign = await Campaign.findOne({ _id: campaignId, brand: brandId })
+        .select("name brand deliverables");
+      if (!campaign) {
+        return res.status(404).json({ error: "Campaign not found" });
+      }
+
+      const deliverable = campaign.deliverables.id(deliverableId);
+      if (!deliverable) {
+        return res.status(404).json({ error: "Deliverable not found" });
+      }
+
+      const submission = await Submission.findOne({
+        _id: submissionId,
+        campaign: campaign._id,
+        deliverable: deliverable._id,
+      });
+      if (!submission) {
+        return res.status(404).json({ error: "Submission not found" });
+      }
+
+      if (!submission.isAwaitingReview()) {
+        return res.status(400).json({
+          error: `Submission is "${submission.status}" and not awaiting review`,
+        });
+      }
+
+      const revision = submission.latestRevision();
+      revision.decision = decision;
+      revision.feedback = feedback?.trim();
+      revision.reviewedAt = new Date();
+
+      if (decision === "changes_requested") {
+        submission.status = "changes_requested";
+      } else if (revision.kind === "draft") {
+        submission.status = "draft_approved";
+      } else {
+        submission.status = "approved";
+        submission.approvedAt = new Date();
+      }
+      await submission.save();
+
+      const what = revision.kind === "draft" ? "the draft" : "the final post";
+      await logToChat(req, submission, {
+        sender: brandId,
+        content:
+          decision === "approved"
+            ? `${req.user.brandName} approved ${what} for "${describeDeliverable(deliverable)}"`
+            : `${req.user.brandName} requested changes on ${what} for "${describeDeliverable(deliverable)}": ${feedback.trim().slice(0, 1000)}`,
+        systemMessageType:
+          decision === "approved" ? "deliverable_approved" : "deliverable_changes_requested",
+      });
+
+      res.status(200).json({
+        message: decision === "approved" ? "Submission approved" : "Changes requested",
+        submission,
+      });
+    } catch (err) {
+      console.error("Review submission error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// backend/routes/files.js
+// Serves private files for the local storage driver. Access is granted by the
+// signature in the URL (see services/storage), not by the Authorization header,
+// so signed links work in <img> and <video> tags.
+const express = require("express");
+const router = express.Router();
+const { getDriver } = require("../services/storage");
+
+// GET /api/files/:folder/:file - Stream a private file from a signed URL
+router.get("/:folder/:file", (req, res) => {
+  const driver = getDriver();
+  if (driver.name !== "local") {
+    return res.status(404).json({ error: "File not found" });
+  }
+
+  const key = `${req.params.folder}/${req.params.file}`;
+  const file = driver.verifySignedRequest(key, req.query);
+  if (!file) {
+    return res.status(403).json({ error: "Invalid or expired link" });
+  }
+
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Cache-Control", "private, no-store");
+  if (file.contentType) res.type(file.contentType);
+  if (file.disposition) {
+    res.setHeader(
+      "Content-Disposition",
+      file.fileName
+        ? `${file.disposition}; filename*=UTF-8''${encodeURIComponent(file.fileName)}`
+        : file.disposition
+    );
+  }
+
+  res.sendFile(file.filePath, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.code === "ENOENT" ? 404 : 500).json({
+        error: err.code === "ENOENT" ? "File not found" : "Server error",
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// backend/routes/invitations.js
+// A creator's campaign invitations. Accepting one applies to the campaign.
+const express = require("express");
+const router = express.Router();
+const Invitation = require("../models/Invitation");
+const Campaign = require("../models/Campaign");
+const { authenticate, authorizeRoles, requireActive } = require("../middleware/auth");
+const { parseApplicationInput, submitApplication } = require("../services/applications");
+
+// GET /api/invitations - My invitations (for creators)
+router.get("/", authenticate, authorizeRoles("creator"), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { creator: req.user._id };
+    if (status) {
+      if (!Invitation.STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Invalid status filter" });
+      }
+      filter.status = status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate({
+        path: "campaign",
+        select: "name niche city description startDate endDate rewardType budgetRange images status brand",
+        populate: { path: "brand", select: "brandName" },
+      })
+      .sort({ invitedAt: -1 });
+
+    res.status(200).json({ invitations });
+  } catch (err) {
+    console.error("Get invitations error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/invitations/:id/accept - Accept and apply to the campaign (for creators)
+// Body: optional { pitch, quotedRate } as for a direct application
+router.post("/:id/accept", authenticate, authorizeRoles("creator"), requireActive, async (req, res) => {
+  try {
+    const { pitch, quotedRate, error } = parseApplicationInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      creator: req.user._id,
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    if (invitation.status !== "pending") {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    const campaign = await Campaign.findById(invitation.campaign);
+    if (!campaign || campaign.status !== "active" || !campaign.hasVisibleBrand()) {
+      return res.status(400).json({ error: "This campaign is not accepting applications" });
+    }
+
+    // Invited creators skip the eligibility rules
+    const io = req.app.get("io");
+    const result = await submitApplication(io, campaign, req.user, { pitch, quotedRate });
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        applicationStatus: result.applicationStatus,
+      });
+    }
+
+    invitation.status = "accepted";
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    if (io) {
+      io.to(`user_${campaign.brand}`).emit("invitation_responded", {
+        invitationId: invitation._id,
+        campaign: { id: campaign._id, name: campaign.name },
+        creator: { id: req.user._id, instaUsername: req.user.instaUsername },
+        status: invitation.status,
+      });
+    }
+
+    res.status(200).json({
+      message: result.application.status === "waitlisted"
+        ? "Invitation accepted; the campaign is full, so you joined the waitlist"
+        : "Invitation accepted and application submitted",
+      invitation,
+      application: result.application,
+    });
+  } catch (err) {
+    console.error("Accept invitation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/invitations/:id/decline - Decline an invitation (for creators)
+router.post("/:id/decline", authenticate, authorizeRoles("creator"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, creator: req.user._id, status: "pending" },
+      { status: "declined", respondedAt: new Date() },
+      { new: true }
+    ).populate("campaign", "name brand");
+
+    if (!invitation) {
+      return res.status(404).json({ error: "Pending invitation not found" });
+    }
+
+    const io = req.app.get("io");
+    if (io && invitation.campaign) {
+      io.to(`user_${invitation.campaign.brand}`).emit("invitation_responded", {
+        invitationId: invitation._id,
+        campaign: { id: invitation.campaign._id, name: invitation.campaign.name },
+        creator: { id: req.user._id, instaUsername: req.user.instaUsername },
+        status: invitation.status,
+      });
+    }
+
+    res.status(200).json({ message: "Invitation declined", invitation });
+  } catch (err) {
+    console.error("Decline invitation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
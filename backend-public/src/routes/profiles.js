@@ -4,6 +4,7 @@ const router = express.Router();
 const User = require("../models/User");
 const Campaign = require("../models/Campaign");
 const SavedProfile = require("../models/SavedProfile");
+const MetricsSnapshot = require("../models/MetricsSnapshot");
 
 const { authenticate, authorizeRoles } = require("../middleware/auth");
 
@@ -28,7 +29,7 @@ router.get("/creators", authenticate, async (req, res) => {
     // Build filter object
     const filter = {
       role: "creator",
-      status: "approved", // Only show approved creators
+      ...User.visibleFilter(), // Only show active creators
     };
 
     // Add city filter
@@ -55,60 +56,13 @@ router.get("/creators", authenticate, async (req, res) => {
         filter["scrapedData.followers"].$lte = parseInt(maxFollowers);
     }
 
-    // Add engagement rate filter (assuming it's stored as percentage string like "2.5%")
+    // Add engagement rate range filter (percentage, e.g. 2.5)
     if (minEngagement || maxEngagement) {
-      // We'll need to handle this differently since engagement is stored as string
-      // For now, let's assume we can convert it to number
-      const engagementConditions = [];
-      if (minEngagement) {
-        engagementConditions.push({
-          $expr: {
-            $gte: [
-              {
-                $toDouble: {
-                  $substr: [
-                    "$scrapedData.engagementRate",
-                    0,
-                    {
-                      $subtract: [
-                        { $strLenCP: "$scrapedData.engagementRate" },
-                        1,
-                      ],
-                    },
-                  ],
-                },
-              },
-              parseFloat(minEngagement),
-            ],
-          },
-        });
-      }
-      if (maxEngagement) {
-        engagementConditions.push({
-          $expr: {
-            $lte: [
-              {
-                $toDouble: {
-                  $substr: [
-                    "$scrapedData.engagementRate",
-                    0,
-                    {
-                      $subtract: [
-                        { $strLenCP: "$scrapedData.engagementRate" },
-                        1,
-                      ],
-                    },
-                  ],
-                },
-              },
-              parseFloat(maxEngagement),
-            ],
-          },
-        });
-      }
-      if (engagementConditions.length > 0) {
-        filter.$and = engagementConditions;
-      }
+      filter["scrapedData.engagementRate"] = {};
+      if (minEngagement)
+        filter["scrapedData.engagementRate"].$gte = parseFloat(minEngagement);
+      if (maxEngagement)
+        filter["scrapedData.engagementRate"].$lte = parseFloat(maxEngagement);
     }
 
     // Add search filter (searches in instaUsername, brandName, city, niche)
@@ -128,7 +82,6 @@ router.get("/creators", authenticate, async (req, res) => {
         sort["scrapedData.followers"] = sortOrder === "asc" ? 1 : -1;
         break;
       case "engagement":
-        // For engagement, we'll sort by the numeric value
         sort["scrapedData.engagementRate"] = sortOrder === "asc" ? 1 : -1;
         break;
       case "avgLikes":
@@ -208,7 +161,7 @@ router.get("/creator/:id", authenticate, async (req, res) => {
     const creator = await User.findOne({
       _id: id,
       role: "creator",
-      status: "approved",
+      ...User.visibleFilter(),
     }).select("-password -resetToken -resetTokenExpiry");
 
     if (!creator) {
@@ -222,14 +175,88 @@ router.get("/creator/:id", authenticate, async (req, res) => {
   }
 });
 
+// GET /api/profiles/creator/:id/metrics/history - Get a creator's metrics over time
+router.get(
+  "/creator/:id/metrics/history",
+  authenticate,
+  authorizeRoles("brand", "admin"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { from, to, limit = 90 } = req.query;
+
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({ error: "Invalid from or to date" });
+      }
+
+      const creator = await User.findOne({
+        _id: id,
+        role: "creator",
+        ...User.visibleFilter(),
+      }).select("instaUsername scrapedData");
+
+      if (!creator) {
+        return res.status(404).json({ error: "Creator not found" });
+      }
+
+      // Build filter
+      const filter = { creator: creator._id };
+      if (from || to) {
+        filter.takenAt = {};
+        if (fromDate) filter.takenAt.$gte = fromDate;
+        if (toDate) filter.takenAt.$lte = toDate;
+      }
+
+      const pageSize = Math.min(365, Math.max(1, parseInt(limit) || 90));
+
+      // Fetch the most recent snapshots, then return them oldest first
+      const snapshots = await MetricsSnapshot.find(filter)
+        .select("-__v -createdAt -updatedAt")
+        .sort({ takenAt: -1 })
+        .limit(pageSize)
+        .lean();
+      snapshots.reverse();
+
+      const first = snapshots[0];
+      const last = snapshots[snapshots.length - 1];
+      const followersChange =
+        first && last ? (last.followers || 0) - (first.followers || 0) : 0;
+
+      res.status(200).json({
+        creator: {
+          id: creator._id,
+          instaUsername: creator.instaUsername,
+          current: creator.scrapedData,
+        },
+        history: snapshots,
+        summary: {
+          snapshots: snapshots.length,
+          from: first?.takenAt,
+          to: last?.takenAt,
+          followersChange,
+          followersGrowthPercent:
+            first && first.followers
+              ? Number(((followersChange / first.followers) * 100).toFixed(2))
+              : 0,
+        },
+      });
+    } catch (err) {
+      console.error("Get creator metrics history error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 // GET /api/profiles/filters/options - Get available filter options
 router.get("/filters/options", authenticate, async (req, res) => {
   try {
     // Get unique cities, niches, and states for filter dropdowns
     const [cities, niches, states] = await Promise.all([
-      User.distinct("city", { role: "creator", status: "approved" }),
-      User.distinct("niche", { role: "creator", status: "approved" }),
-      User.distinct("state", { role: "creator", status: "approved" }),
+      User.distinct("city", { role: "creator", ...User.visibleFilter() }),
+      User.distinct("niche", { role: "creator", ...User.visibleFilter() }),
+      User.distinct("state", { role: "creator", ...User.visibleFilter() }),
     ]);
 
     // Get follower range
@@ -237,7 +264,7 @@ router.get("/filters/options", authenticate, async (req, res) => {
       {
         $match: {
           role: "creator",
-          status: "approved",
+          ...User.visibleFilter(),
           "scrapedData.followers": { $exists: true },
         },
       },
@@ -279,36 +306,21 @@ router.get(
   async (req, res) => {
     try {
       const stats = await User.aggregate([
-        { $match: { role: "creator", status: "approved" } },
+        { $match: { role: "creator", ...User.visibleFilter() } },
         {
           $group: {
             _id: null,
             totalCreators: { $sum: 1 },
             avgFollowers: { $avg: "$scrapedData.followers" },
             totalFollowers: { $sum: "$scrapedData.followers" },
-            avgEngagement: {
-              $avg: {
-                $toDouble: {
-                  $substr: [
-                    "$scrapedData.engagementRate",
-                    0,
-                    {
-                      $subtract: [
-                        { $strLenCP: "$scrapedData.engagementRate" },
-                        1,
-                      ],
-                    },
-                  ],
-                },
-              },
-            },
+            avgEngagement: { $avg: "$scrapedData.engagementRate" },
           },
         },
       ]);
 
       // Get top niches
       const topNiches = await User.aggregate([
-        { $match: { role: "creator", status: "approved" } },
+        { $match: { role: "creator", ...User.visibleFilter() } },
         { $group: { _id: "$niche", count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 10 },
@@ -316,7 +328,7 @@ router.get(
 
       // Get top cities
       const topCities = await User.aggregate([
-        { $match: { role: "creator", status: "approved" } },
+        { $match: { role: "creator", ...User.visibleFilter() } },
         { $group: { _id: "$city", count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 10 },
@@ -353,7 +365,7 @@ router.get(
       // Build filter object
       const filter = {
         role: "brand",
-        status: "approved",
+        ...User.visibleFilter(),
       };
 
       // Add niche filter
@@ -415,10 +427,10 @@ router.post("/save/:profileId", authenticate, async (req, res) => {
     const { notes, tags } = req.body;
     const userId = req.user._id;
 
-    // Check if the profile exists and is approved
+    // Check if the profile exists and is visible
     const profileToSave = await User.findOne({
       _id: profileId,
-      status: "approved"
+      ...User.visibleFilter()
     });
 
     if (!profileToSave) {
@@ -527,14 +539,14 @@ router.get("/saved", authenticate, async (req, res) => {
       .populate({
         path: "savedProfile",
         select: "-password -resetToken -resetTokenExpiry",
-        match: { status: "approved" }
+        match: User.visibleFilter()
       })
       .sort(sort)
       .skip(skip)
       .limit(pageSize)
       .lean();
 
-    // Filter out any saved profiles where the actual profile was deleted or not approved
+    // Filter out any saved profiles where the actual profile was deleted or is no longer visible
     const validSavedProfiles = savedProfiles.filter(sp => sp.savedProfile);
 
     // Add search functionality if needed
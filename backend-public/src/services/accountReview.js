@@ -0,0 +1,142 @@
+// backend/services/accountReview.js
+// Review of new accounts. Signups start in pending_review; an admin, or the
+// auto-approval rules below, moves them to active. Rejected accounts stay in
+// pending_review with the admin's note until the user resubmits.
+const User = require("../models/User");
+const Campaign = require("../models/Campaign");
+const { emitToUser } = require("../socket/socketHandler");
+
+const envFlag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === "true";
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+// Auto-approval rules, configured through the environment (see .env.example)
+const getAutoApprovalRules = () => ({
+  creator: {
+    enabled: envFlag("AUTO_APPROVE_CREATORS", false),
+    requireVerifiedComment: envFlag("AUTO_APPROVE_REQUIRE_COMMENT", true),
+    minFollowers: envNumber("AUTO_APPROVE_MIN_FOLLOWERS", 1000),
+    minEngagementRate: envNumber("AUTO_APPROVE_MIN_ENGAGEMENT_RATE", 0),
+  },
+  brand: {
+    enabled: envFlag("AUTO_APPROVE_BRANDS", false),
+  },
+});
+
+// Most times a rejected user can resubmit
+const MAX_RESUBMISSIONS = envNumber("REVIEW_MAX_RESUBMISSIONS", 3);
+
+// Whether the account passes the auto-approval rules for its role.
+// Returns { approve, unmet: [message] } so admins can see why not.
+const evaluateAutoApproval = (user, rules = getAutoApprovalRules()) => {
+  const roleRules = rules[user.role];
+  if (!roleRules || !roleRules.enabled) {
+    return { approve: false, unmet: [`Auto-approval is disabled for ${user.role}s`] };
+  }
+
+  const unmet = [];
+  if (user.role === "creator") {
+    const followers = user.scrapedData?.followers;
+    const engagementRate = user.scrapedData?.engagementRate;
+
+    if (user.onboarding?.status && user.onboarding.status !== "completed") {
+      unmet.push("Onboarding has not completed");
+    }
+    if (roleRules.requireVerifiedComment && !user.commentVerification?.verified) {
+      unmet.push("Verification comment not confirmed");
+    }
+    if (!(followers >= roleRules.minFollowers)) {
+      unmet.push(`Needs at least ${roleRules.minFollowers} followers`);
+    }
+    if (roleRules.minEngagementRate > 0 && !(engagementRate >= roleRules.minEngagementRate)) {
+      unmet.push(`Needs an engagement rate of at least ${roleRules.minEngagementRate}%`);
+    }
+  }
+
+  return { approve: unmet.length === 0, unmet };
+};
+
+// Put an account (back) in the review queue. Mutates the user; the caller saves.
+const submitForReview = (user, { note } = {}) => {
+  const resubmission = user.review?.status === "rejected";
+  const now = new Date();
+
+  user.status = "pending_review";
+  user.set({
+    "review.status": "pending",
+    "review.submittedAt": now,
+    "review.reviewedAt": undefined,
+    "review.reviewedBy": undefined,
+    "review.autoApproved": undefined,
+    "review.resubmissions": (user.review?.resubmissions || 0) + (resubmission ? 1 : 0),
+  });
+  user.review.history.push({ decision: "submitted", note, at: now });
+  return user;
+};
+
+// Approve or reject a pending account. Only applies while the account is
+// waiting for review, so concurrent decisions can't both win.
+// Returns the updated user, or null when it was not pending.
+const decideReview = async (io, userId, { decision, note, reviewedBy, auto = false }) => {
+  const now = new Date();
+  const user = await User.findOneAndUpdate(
+    { _id: userId, status: "pending_review", "review.status": "pending" },
+    {
+      $set: {
+        status: decision === "approved" ? "active" : "pending_review",
+        "review.status": decision,
+        "review.reviewedAt": now,
+        "review.reviewedBy": reviewedBy,
+        "review.note": note,
+        "review.autoApproved": auto,
+      },
+      $push: {
+        "review.history": { decision, note, reviewedBy, auto, at: now },
+      },
+    },
+    { new: true }
+  );
+  if (!user) return null;
+
+  await Campaign.syncBrandVisibility([user._id]);
+
+  if (io) {
+    emitToUser(io, user._id.toString(), "account_reviewed", {
+      status: user.status,
+      review: { status: user.review.status, note: user.review.note },
+    });
+  }
+  return user;
+};
+
+// Approve the account when it meets the auto-approval rules.
+// Returns the approved user, or null when it stays in the queue.
+const autoApproveIfEligible = async (io, user) => {
+  if (user.status !== "pending_review" || user.review?.status !== "pending") return null;
+
+  const { approve } = evaluateAutoApproval(user);
+  if (!approve) return null;
+
+  const approved = await decideReview(io, user._id, {
+    decision: "approved",
+    note: "Approved automatically",
+    auto: true,
+  });
+  if (approved) {
+    console.log(`✅ Account auto-approved: ${approved.email}`);
+  }
+  return approved;
+};
+
+module.exports = {
+  MAX_RESUBMISSIONS,
+  getAutoApprovalRules,
+  evaluateAutoApproval,
+  submitForReview,
+  decideReview,
+  autoApproveIfEligible,
+};
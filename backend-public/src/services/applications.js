@@ -0,0 +1,111 @@
+// backend/services/applications.js
+// Creating applications, shared by direct applies and accepted invitations.
+// Callers check campaign status, visibility and eligibility first.
+const Application = require("../models/Application");
+const User = require("../models/User");
+const { queueMailSafely } = require("../jobs/mail");
+
+// Validate the optional pitch and quoted rate from a request body.
+// Returns { pitch, quotedRate } or { error }.
+const parseApplicationInput = ({ pitch, quotedRate }) => {
+  if (pitch && pitch.length > 1000) {
+    return { error: "Pitch cannot exceed 1000 characters" };
+  }
+
+  // Parse quotedRate if it's a string
+  let parsedQuotedRate;
+  if (quotedRate !== undefined && quotedRate !== null && quotedRate !== "") {
+    parsedQuotedRate = typeof quotedRate === "object"
+      ? quotedRate
+      : { amount: Number(quotedRate) };
+
+    if (!Number.isFinite(Number(parsedQuotedRate.amount)) || Number(parsedQuotedRate.amount) < 0) {
+      return { error: "Quoted rate must be a positive number" };
+    }
+    parsedQuotedRate.amount = Number(parsedQuotedRate.amount);
+  }
+
+  return { pitch, quotedRate: parsedQuotedRate };
+};
+
+// Create (or re-open after a withdrawal) a creator's application. Full
+// campaigns put the creator on the waitlist when enabled and refuse otherwise.
+// Returns { application, applicationCount } or { error, status, applicationStatus }.
+const submitApplication = async (io, campaign, creator, { pitch, quotedRate } = {}) => {
+  const creatorId = creator._id;
+
+  let application = await Application.findOne({
+    campaign: campaign._id,
+    creator: creatorId
+  });
+
+  if (application && application.status !== "withdrawn") {
+    return {
+      error: "You have already applied to this campaign",
+      status: 400,
+      applicationStatus: application.status
+    };
+  }
+
+  // Full campaigns are closed, unless they keep a waitlist
+  if (campaign.isFull() && !campaign.waitlistEnabled) {
+    return { error: "This campaign is full and no longer accepts applications", status: 400 };
+  }
+  const initialStatus = campaign.isFull() ? "waitlisted" : "applied";
+
+  if (application) {
+    // Re-apply after a withdrawal
+    application.pitch = pitch?.trim();
+    application.quotedRate = quotedRate;
+    application.appliedAt = new Date();
+    application.brandNote = undefined;
+    application.transitionTo(initialStatus, creatorId);
+  } else {
+    application = new Application({
+      campaign: campaign._id,
+      creator: creatorId,
+      brand: campaign.brand,
+      status: initialStatus,
+      pitch: pitch?.trim(),
+      quotedRate,
+      appliedAt: new Date(),
+      statusHistory: [{ status: initialStatus, changedBy: creatorId }]
+    });
+  }
+
+  await application.save();
+
+  const applicationCount = await Application.countDocuments({
+    campaign: campaign._id,
+    status: { $nin: Application.INACTIVE_STATUSES }
+  });
+
+  // Notify the brand in real time
+  if (io) {
+    io.to(`user_${campaign.brand}`).emit("new_application", {
+      campaign: { id: campaign._id, name: campaign.name },
+      applicationId: application._id,
+      status: application.status,
+      creator: { id: creatorId, instaUsername: creator.instaUsername }
+    });
+  }
+
+  // ...and by email
+  const brand = await User.findById(campaign.brand).select("email brandName");
+  if (brand) {
+    await queueMailSafely(brand.email, "newApplication", {
+      brandName: brand.brandName,
+      campaignId: campaign._id.toString(),
+      campaignName: campaign.name,
+      creatorUsername: creator.instaUsername,
+      waitlisted: application.status === "waitlisted",
+    });
+  }
+
+  return { application, applicationCount };
+};
+
+module.exports = {
+  parseApplicationInput,
+  submitApplication,
+};
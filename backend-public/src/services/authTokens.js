@@ -0,0 +1,172 @@
+// backend/services/authTokens.js
+// Short-lived access tokens plus rotating refresh tokens, one Session per
+// signed-in device.
+//
+// Access tokens carry the session id and the user's tokenVersion. Revoking a
+// session refuses its access tokens; bumping tokenVersion (ban, password
+// reset, logout everywhere) refuses every token issued before it.
+//
+// Refresh tokens look like "<sessionId>.<secret>" and can be used once. A
+// token that was already rotated is treated as stolen: the whole session is
+// revoked.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS =
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      email: user.email,
+      status: user.status,
+      tokenVersion: user.tokenVersion || 0,
+      ...(session && { sid: session._id }),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Seconds until an access token expires, for clients scheduling a refresh
+const accessTokenExpiresIn = (token) => {
+  const { exp } = jwt.decode(token);
+  return Math.max(0, exp - Math.floor(Date.now() / 1000));
+};
+
+const tokenPair = (user, session, secret) => {
+  const accessToken = signAccessToken(user, session);
+  return {
+    token: accessToken,
+    expiresIn: accessTokenExpiresIn(accessToken),
+    refreshToken: `${session._id}.${secret}`,
+    sessionId: session._id,
+  };
+};
+
+// Start a session for a user who just signed in.
+// Returns { token, expiresIn, refreshToken, sessionId }.
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get("user-agent")?.slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return tokenPair(user, session, secret);
+};
+
+// Mark sessions revoked and drop the sockets that were opened with them
+const revokeSessions = async (io, filter, reason) => {
+  const sessionIds = await Session.distinct("_id", { ...filter, revokedAt: null });
+  if (sessionIds.length === 0) return;
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (io) {
+    sessionIds.forEach((sessionId) => {
+      const room = `session_${sessionId}`;
+      io.to(room).emit("session_revoked", { reason });
+      io.in(room).disconnectSockets(true);
+    });
+  }
+};
+
+// Exchange a refresh token for a new token pair. The presented token stops
+// working. Returns the pair or { error, status }.
+const rotateRefreshToken = async (io, refreshToken, req) => {
+  const [sessionId, secret] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return { error: "Invalid refresh token", status: 401 };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: "Session has expired or was revoked", status: 401 };
+  }
+
+  const nextSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      lastUsedAt: new Date(),
+      userAgent: req.get("user-agent")?.slice(0, 500),
+      ip: req.ip,
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // An older token of a live session: someone else has a copy of it
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}`);
+    await revokeSessions(io, { _id: session._id }, "refresh_token_reuse");
+    return { error: "Refresh token was already used; the session has been revoked", status: 401 };
+  }
+
+  const user = await User.findById(rotated.user);
+  if (!user || !user.canLogIn()) {
+    await revokeSessions(io, { _id: rotated._id }, user ? user.status : "user_deleted");
+    return { error: user ? `Account is ${user.status}` : "User not found", status: user ? 403 : 401 };
+  }
+
+  return tokenPair(user, rotated, nextSecret);
+};
+
+// Why a verified access token may not be used for its user, as
+// { status, error }, or null when it may
+const checkTokenUser = async (decoded, user) => {
+  if (!user) {
+    return { status: 401, error: "Unauthorized: User not found" };
+  }
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    return { status: 401, error: "Unauthorized: Token has been revoked" };
+  }
+  if (!user.canLogIn()) {
+    return { status: 403, error: `Account is ${user.status}` };
+  }
+  // Tokens issued before sessions existed have no sid and simply expire
+  if (decoded.sid && !(await Session.exists({ _id: decoded.sid, user: user._id, revokedAt: null }))) {
+    return { status: 401, error: "Unauthorized: Session has been revoked" };
+  }
+  return null;
+};
+
+// Invalidate every token and session of the given users and drop their live
+// sockets. `reason` is sent to the clients before they are disconnected.
+const revokeUserSessions = async (io, userIds, reason) => {
+  if (userIds.length === 0) return;
+
+  await User.updateMany({ _id: { $in: userIds } }, { $inc: { tokenVersion: 1 } });
+  // Sockets are dropped per user below
+  await revokeSessions(null, { user: { $in: userIds } }, reason);
+
+  if (io) {
+    userIds.forEach((userId) => {
+      const room = `user_${userId}`;
+      io.to(room).emit("session_revoked", { reason });
+      io.in(room).disconnectSockets(true);
+    });
+  }
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  checkTokenUser,
+  revokeUserSessions,
+};
@@ -0,0 +1,54 @@
+// backend/services/campaignMedia.js
+// Cleans up stored files once campaign images are no longer referenced.
+// Files are named by content hash, so the same file can back images of
+// several campaigns; it is only deleted when no campaign uses it anymore.
+const Campaign = require("../models/Campaign");
+const { deleteFile } = require("./storage");
+const { processImage } = require("./imageProcessing");
+
+const isKeyInUse = (key) =>
+  Campaign.exists({
+    $or: [
+      { "images.original.key": key },
+      { "images.medium.key": key },
+      { "images.thumbnail.key": key },
+    ],
+  });
+
+// Delete the files of removed images. Call after the campaign was saved or
+// deleted. Failures are logged, never thrown: a leftover file is harmless.
+const removeImageFiles = async (images) => {
+  let removed = 0;
+
+  for (const key of new Set(Campaign.imageKeys(images))) {
+    try {
+      if (await isKeyInUse(key)) continue;
+      await deleteFile(key, { visibility: "public" });
+      removed += 1;
+    } catch (err) {
+      console.error(`Failed to remove campaign image file ${key}:`, err);
+    }
+  }
+
+  return removed;
+};
+
+// Process uploaded images one at a time. If one is rejected, the files
+// already stored for the others are removed before the error is rethrown.
+const processUploadedImages = async (files) => {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await processImage(file.path, { folder: "campaign-images" }));
+    }
+  } catch (err) {
+    await removeImageFiles(images);
+    throw err;
+  }
+  return images;
+};
+
+module.exports = {
+  processUploadedImages,
+  removeImageFiles,
+};
@@ -0,0 +1,67 @@
+// backend/services/campaignSlots.js
+// Campaign capacity. Campaign.slots caps how many creators can be hired
+// (unset = unlimited) and Campaign.hiredCount is only changed here, with
+// atomic updates, so two concurrent hires can't overfill a campaign.
+const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+
+// Take a slot for a hire. Returns the updated campaign, or null when full.
+const reserveSlot = (campaignId) =>
+  Campaign.findOneAndUpdate(
+    {
+      _id: campaignId,
+      $or: [
+        { slots: null },
+        { $expr: { $lt: ["$hiredCount", "$slots"] } },
+      ],
+    },
+    { $inc: { hiredCount: 1 } },
+    { new: true }
+  );
+
+// Give a slot back, e.g. when a hired creator withdraws
+const releaseSlot = (campaignId) =>
+  Campaign.findOneAndUpdate(
+    { _id: campaignId, hiredCount: { $gt: 0 } },
+    { $inc: { hiredCount: -1 } },
+    { new: true }
+  );
+
+// Move the earliest waitlisted creators back into the pipeline as "applied",
+// one per open slot (all of them if the campaign has no limit). changedBy is
+// the acting user for the status history, or null for system promotions.
+const promoteWaitlist = async (io, campaign, changedBy) => {
+  const openSlots = campaign.slots
+    ? Math.max(0, campaign.slots - campaign.hiredCount)
+    : Infinity;
+  if (openSlots === 0) return [];
+
+  let query = Application.find({ campaign: campaign._id, status: "waitlisted" })
+    .sort({ appliedAt: 1 });
+  if (Number.isFinite(openSlots)) query = query.limit(openSlots);
+  const waitlisted = await query;
+
+  const promoted = [];
+  for (const application of waitlisted) {
+    application.transitionTo("applied", changedBy, "A slot opened up");
+    await application.save();
+    promoted.push(application);
+
+    if (io) {
+      io.to(`user_${application.creator}`).emit("application_status_changed", {
+        applicationId: application._id,
+        campaign: { id: campaign._id, name: campaign.name },
+        status: application.status,
+        note: "A slot opened up and you've been moved off the waitlist",
+      });
+    }
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  reserveSlot,
+  releaseSlot,
+  promoteWaitlist,
+};
@@ -0,0 +1,372 @@
+// backend/services/chatService.js
+// Chat helpers shared by routes that post into a conversation
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { saveUploadedFile, deleteFile, getSignedUrl } = require("./storage");
+const { queueMail } = require("../jobs/mail");
+
+// How long to wait for a recipient's socket to acknowledge a new message
+const DELIVERY_ACK_TIMEOUT_MS = 10000;
+
+// Longest client-generated message ID we accept
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+
+// Find a chat the user takes part in. Sending messages requires an active chat.
+const findParticipantChat = async (chatId, userId, { activeOnly = false } = {}) => {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+
+  return Chat.findOne({
+    _id: chatId,
+    participants: userId,
+    ...(activeOnly && { status: "active" }),
+  });
+};
+
+// Find the chat between a brand and a creator about a campaign
+const findCampaignChat = (campaignId, brandId, creatorId) =>
+  Chat.findOne({
+    campaign: campaignId,
+    participants: { $all: [brandId, creatorId] },
+  });
+
+// Post a system message to a chat, bump its activity and notify participants
+const postSystemMessage = async (
+  io,
+  chat,
+  { sender, content, systemMessageType }
+) => {
+  const systemMessage = new Message({
+    chat: chat._id,
+    sender,
+    content,
+    messageType: "system",
+    systemMessageType,
+  });
+  await systemMessage.save();
+
+  chat.lastMessage = systemMessage._id;
+  chat.lastActivity = new Date();
+  await chat.save();
+
+  const populatedMessage = await Message.findById(systemMessage._id)
+    .populate("sender", "brandName instaUsername role");
+
+  if (io) {
+    chat.participants.forEach((participantId) => {
+      io.to(`user_${participantId}`).emit("new_message", {
+        chatId: chat._id,
+        message: populatedMessage,
+      });
+    });
+  }
+
+  return populatedMessage;
+};
+
+// Signed, expiring URL for a chat attachment. Images and videos can be shown
+// inline; everything else is downloaded.
+const getAttachmentUrl = (attachment) =>
+  getSignedUrl(attachment.key, {
+    fileName: attachment.originalName,
+    contentType: attachment.mimeType,
+    disposition: ["image", "video"].includes(attachment.kind) ? "inline" : "attachment",
+  });
+
+// Plain message object with signed attachment URLs, for responses and events.
+// Storage keys are not exposed.
+const serializeMessage = async (message) => {
+  const data = typeof message.toObject === "function" ? message.toObject() : { ...message };
+  if (data.attachments?.length) {
+    data.attachments = await Promise.all(
+      data.attachments.map(async ({ key, ...attachment }) => ({
+        ...attachment,
+        url: await getAttachmentUrl({ key, ...attachment }),
+      }))
+    );
+  }
+  return data;
+};
+
+// Mark a message delivered and tell its sender. Only the first recipient
+// acknowledgement moves the status, later ones are no-ops.
+const markDelivered = async (io, chatId, message) => {
+  const result = await Message.updateOne(
+    { _id: message._id, status: "sent" },
+    { status: "delivered" }
+  );
+  if (result.modifiedCount === 0 || !io) return;
+
+  const senderId = message.sender._id || message.sender;
+  io.to(`user_${senderId}`).emit("message_delivered", {
+    chatId,
+    messageId: message._id,
+    clientMessageId: message.clientMessageId,
+    deliveredAt: new Date(),
+  });
+};
+
+const displayName = (user) =>
+  user.role === "brand" ? user.brandName : `@${user.instaUsername}`;
+
+// Email a recipient who is not connected. Only the first message they haven't
+// read is emailed, so a busy chat sends one email until they catch up.
+const emailOfflineRecipient = async (io, chat, message, recipientId) => {
+  // Connected clients that don't ack new_message (older apps) still got it
+  const sockets = await io.in(`user_${recipientId}`).fetchSockets();
+  if (sockets.length > 0) return;
+
+  const [recipient, current] = await Promise.all([
+    User.findOne({ _id: recipientId, ...User.visibleFilter() })
+      .select("email role brandName instaUsername"),
+    Chat.findById(chat._id).select("readState"),
+  ]);
+  if (!recipient || !current) return;
+
+  const earlierUnread = await Message.exists({
+    chat: chat._id,
+    _id: { $ne: message._id },
+    sender: { $ne: recipientId },
+    createdAt: { $gt: lastReadAtFor(current, recipientId), $lt: message.createdAt },
+  });
+  if (earlierUnread) return;
+
+  await queueMail(recipient.email, "newMessage", {
+    recipientName: displayName(recipient),
+    senderName: displayName(message.sender),
+    chatId: chat._id.toString(),
+    preview: message.content,
+  });
+};
+
+// Emit a new message to the other participants. Their sockets acknowledge the
+// event, which marks the message delivered. Recipients with no connected
+// socket are emailed instead.
+const deliverMessage = (io, chat, message) => {
+  if (!io) return;
+
+  const senderId = (message.sender._id || message.sender).toString();
+  chat.participants
+    .filter((participantId) => participantId.toString() !== senderId)
+    .forEach((participantId) => {
+      io.to(`user_${participantId}`)
+        .timeout(DELIVERY_ACK_TIMEOUT_MS)
+        .emit("new_message", { chatId: chat._id, message }, (err, responses) => {
+          // err only means some sockets did not answer in time
+          if (!responses || responses.length === 0) {
+            emailOfflineRecipient(io, chat, message, participantId).catch((mailErr) => {
+              console.error("New message email error:", mailErr);
+            });
+            return;
+          }
+          markDelivered(io, chat._id, message).catch((deliveryErr) => {
+            console.error("Mark message delivered error:", deliveryErr);
+          });
+        });
+    });
+};
+
+// Delete the stored files of a message that was never saved. Keys are content
+// hashes, so files another message still references are kept. Failures are
+// logged, never thrown.
+const removeUnsavedAttachments = async (attachments) => {
+  for (const { key } of attachments) {
+    try {
+      if (await Message.exists({ "attachments.key": key })) continue;
+      await deleteFile(key, { visibility: "private" });
+    } catch (err) {
+      console.error(`Failed to remove chat attachment file ${key}:`, err);
+    }
+  }
+};
+
+// Send a message from a participant. Shared by the REST route and the
+// send_message socket event. Attachments are files already stored by the
+// upload middleware. A repeated clientMessageId from the same sender
+// returns the original message instead of creating a new one.
+// Returns { message, duplicate } or { error, status }.
+const sendMessage = async (
+  io,
+  { chatId, sender, content, clientMessageId, attachments = [] }
+) => {
+  const text = typeof content === "string" ? content.trim() : "";
+
+  if (text === "" && attachments.length === 0) {
+    return { error: "Message content or an attachment is required", status: 400 };
+  }
+
+  if (text.length > 2000) {
+    return { error: "Message cannot exceed 2000 characters", status: 400 };
+  }
+
+  if (
+    clientMessageId !== undefined &&
+    (typeof clientMessageId !== "string" ||
+      clientMessageId.trim() === "" ||
+      clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)
+  ) {
+    return { error: "Invalid client message ID", status: 400 };
+  }
+
+  const chat = await findParticipantChat(chatId, sender._id, { activeOnly: true });
+  if (!chat) {
+    return { error: "Chat not found or inactive", status: 404 };
+  }
+
+  const findExisting = async () =>
+    serializeMessage(
+      await Message.findOne({ chat: chat._id, sender: sender._id, clientMessageId })
+        .populate("sender", "brandName instaUsername role")
+    );
+
+  if (clientMessageId) {
+    const existing = await Message.exists({ chat: chat._id, sender: sender._id, clientMessageId });
+    if (existing) return { message: await findExisting(), duplicate: true };
+  }
+
+  const storedAttachments = await Promise.all(
+    attachments.map(async (file) => {
+      const { key } = await saveUploadedFile(file, {
+        folder: "chat-attachments",
+        visibility: "private",
+      });
+      return {
+        key,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        kind: file.kind,
+        size: file.size,
+      };
+    })
+  );
+
+  const newMessage = new Message({
+    chat: chat._id,
+    sender: sender._id,
+    content: text || undefined,
+    messageType: "text",
+    clientMessageId,
+    attachments: storedAttachments,
+  });
+
+  try {
+    await newMessage.save();
+  } catch (err) {
+    await removeUnsavedAttachments(storedAttachments);
+
+    // A retry raced the original request
+    if (err.code === 11000 && clientMessageId) {
+      return { message: await findExisting(), duplicate: true };
+    }
+    throw err;
+  }
+
+  chat.lastMessage = newMessage._id;
+  chat.lastActivity = new Date();
+  await chat.save();
+
+  const populatedMessage = await serializeMessage(
+    await Message.findById(newMessage._id)
+      .populate("sender", "brandName instaUsername role")
+  );
+
+  deliverMessage(io, chat, populatedMessage);
+
+  return { message: populatedMessage, duplicate: false };
+};
+
+// When the user last read the chat (epoch if never)
+const lastReadAtFor = (chat, userId) => {
+  const entry = (chat.readState || []).find(
+    (state) => state.user.toString() === userId.toString()
+  );
+  return entry ? entry.lastReadAt : new Date(0);
+};
+
+// Unread message counts for a user across chats, in one aggregation.
+// Returns a Map of chatId -> count (chats without unread messages are omitted).
+const getUnreadCounts = async (chats, userId) => {
+  if (chats.length === 0) return new Map();
+
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+  const results = await Message.aggregate([
+    {
+      $match: {
+        sender: { $ne: userObjectId },
+        $or: chats.map((chat) => ({
+          chat: chat._id,
+          createdAt: { $gt: lastReadAtFor(chat, userId) },
+        })),
+      },
+    },
+    { $group: { _id: "$chat", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(results.map((r) => [r._id.toString(), r.count]));
+};
+
+// Move the user's read marker forward to the given message. Markers never move
+// backwards, so late or out-of-order receipts are ignored.
+// Returns the new read state, or null if the marker did not move.
+const markChatRead = async (chatId, userId, message) => {
+  const readState = {
+    user: userId,
+    lastReadMessage: message._id,
+    lastReadAt: message.createdAt,
+  };
+
+  const advanced = await Chat.updateOne(
+    {
+      _id: chatId,
+      readState: {
+        $elemMatch: { user: userId, lastReadAt: { $lt: message.createdAt } },
+      },
+    },
+    {
+      $set: {
+        "readState.$.lastReadMessage": message._id,
+        "readState.$.lastReadAt": message.createdAt,
+      },
+    }
+  );
+  if (advanced.modifiedCount > 0) return readState;
+
+  // First read in this chat
+  const created = await Chat.updateOne(
+    { _id: chatId, "readState.user": { $ne: userId } },
+    { $push: { readState } }
+  );
+  return created.modifiedCount > 0 ? readState : null;
+};
+
+// Notify the other participants that the user has read up to a message
+const emitReadReceipt = (io, chat, userId, readState) => {
+  if (!io) return;
+
+  chat.participants
+    .filter((participantId) => participantId.toString() !== userId.toString())
+    .forEach((participantId) => {
+      io.to(`user_${participantId}`).emit("message_read_receipt", {
+        chatId: chat._id,
+        messageId: readState.lastReadMessage,
+        readBy: userId,
+        readAt: new Date(),
+      });
+    });
+};
+
+module.exports = {
+  displayName,
+  findParticipantChat,
+  findCampaignChat,
+  postSystemMessage,
+  deliverMessage,
+  markDelivered,
+  sendMessage,
+  serializeMessage,
+  getAttachmentUrl,
+  getUnreadCounts,
+  markChatRead,
+  emitReadReceipt,
+};
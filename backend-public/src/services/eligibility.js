@@ -0,0 +1,176 @@
+// backend/services/eligibility.js
+// Campaign eligibility rules checked against a creator's profile and
+// scrapedData. Location and niche lists are stored lowercase and matched
+// case-insensitively; an empty list means "any".
+const LIST_FIELDS = ["cities", "states", "niches"];
+const NUMBER_FIELDS = ["minFollowers", "maxFollowers", "minEngagementRate"];
+
+const normalize = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+
+// Validate and normalize eligibility rules from a request body (object or
+// JSON string). Returns { eligibility } or { error }.
+const parseEligibility = (raw) => {
+  let input = raw;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch (e) {
+      return { error: "Eligibility must be valid JSON" };
+    }
+  }
+
+  if (input === null || input === undefined || input === "") {
+    return { eligibility: {} };
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Eligibility must be an object" };
+  }
+
+  const unknown = Object.keys(input).filter(
+    (key) => !NUMBER_FIELDS.includes(key) && !LIST_FIELDS.includes(key)
+  );
+  if (unknown.length > 0) {
+    return { error: `Unknown eligibility rules: ${unknown.join(", ")}` };
+  }
+
+  const eligibility = {};
+
+  for (const field of NUMBER_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null || value === "") continue;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    eligibility[field] = number;
+  }
+
+  if (
+    eligibility.minFollowers !== undefined &&
+    eligibility.maxFollowers !== undefined &&
+    eligibility.minFollowers > eligibility.maxFollowers
+  ) {
+    return { error: "minFollowers cannot be greater than maxFollowers" };
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null) continue;
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    if (list.some((item) => typeof item !== "string")) {
+      return { error: `${field} must be a list of names` };
+    }
+    eligibility[field] = [...new Set(list.map(normalize).filter(Boolean))];
+  }
+
+  return { eligibility };
+};
+
+// Plain, comparable form of stored rules
+const toPlainEligibility = (eligibility = {}) => {
+  const plain = {};
+  NUMBER_FIELDS.forEach((field) => {
+    if (eligibility[field] !== undefined && eligibility[field] !== null) {
+      plain[field] = eligibility[field];
+    }
+  });
+  LIST_FIELDS.forEach((field) => {
+    if (eligibility[field]?.length) plain[field] = [...eligibility[field]];
+  });
+  return plain;
+};
+
+// Rules the creator does not meet, as [{ rule, message }]. Empty = eligible.
+const checkEligibility = (eligibility, creator) => {
+  const rules = toPlainEligibility(eligibility);
+  const followers = creator.scrapedData?.followers;
+  const engagementRate = creator.scrapedData?.engagementRate;
+  const reasons = [];
+
+  if (rules.minFollowers !== undefined && !(followers >= rules.minFollowers)) {
+    reasons.push({
+      rule: "minFollowers",
+      message: `Requires at least ${rules.minFollowers} followers`,
+    });
+  }
+
+  if (rules.maxFollowers !== undefined && !(followers <= rules.maxFollowers)) {
+    reasons.push({
+      rule: "maxFollowers",
+      message: `Limited to creators with at most ${rules.maxFollowers} followers`,
+    });
+  }
+
+  if (rules.minEngagementRate !== undefined && !(engagementRate >= rules.minEngagementRate)) {
+    reasons.push({
+      rule: "minEngagementRate",
+      message: `Requires an engagement rate of at least ${rules.minEngagementRate}%`,
+    });
+  }
+
+  // A creator qualifies by city or by state when either list is set
+  if (rules.cities || rules.states) {
+    const inCity = rules.cities?.includes(normalize(creator.city));
+    const inState = rules.states?.includes(normalize(creator.state));
+    if (!inCity && !inState) {
+      reasons.push({
+        rule: "location",
+        message: `Open to creators in ${[...(rules.cities || []), ...(rules.states || [])].join(", ")}`,
+      });
+    }
+  }
+
+  if (rules.niches && !rules.niches.includes(normalize(creator.niche))) {
+    reasons.push({
+      rule: "niches",
+      message: `Open to ${rules.niches.join(", ")} creators`,
+    });
+  }
+
+  return reasons;
+};
+
+// Mongo filter matching campaigns whose rules the creator meets
+const eligibilityFilter = (creator) => {
+  const followers = creator.scrapedData?.followers;
+  const engagementRate = creator.scrapedData?.engagementRate;
+  const city = normalize(creator.city);
+  const state = normalize(creator.state);
+  const niche = normalize(creator.niche);
+
+  // { field: null } matches rules that are not set
+  const numberRule = (field, operator, value) => ({
+    $or: [
+      { [`eligibility.${field}`]: null },
+      ...(typeof value === "number" ? [{ [`eligibility.${field}`]: { [operator]: value } }] : []),
+    ],
+  });
+
+  return {
+    $and: [
+      numberRule("minFollowers", "$lte", followers),
+      numberRule("maxFollowers", "$gte", followers),
+      numberRule("minEngagementRate", "$lte", engagementRate),
+      {
+        $or: [
+          { "eligibility.cities.0": { $exists: false }, "eligibility.states.0": { $exists: false } },
+          ...(city ? [{ "eligibility.cities": city }] : []),
+          ...(state ? [{ "eligibility.states": state }] : []),
+        ],
+      },
+      {
+        $or: [
+          { "eligibility.niches.0": { $exists: false } },
+          ...(niche ? [{ "eligibility.niches": niche }] : []),
+        ],
+      },
+    ],
+  };
+};
+
+module.exports = {
+  parseEligibility,
+  toPlainEligibility,
+  checkEligibility,
+  eligibilityFilter,
+};
@@ -0,0 +1,109 @@
+// backend/services/imageProcessing.js
+// Validates uploaded images and stores a cleaned original plus resized
+// variants. Re-encoding drops EXIF and other metadata (GPS, camera details)
+// after applying the EXIF orientation.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { saveFile, getPublicUrl } = require("./storage");
+
+// Refuse decompression bombs before any pixels are decoded
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const SUPPORTED_FORMATS = ["jpeg", "png", "webp", "gif"];
+
+// Variants generated for every image; the original keeps its size
+const VARIANTS = {
+  medium: { width: 1200, height: 1200 },
+  thumbnail: { width: 320, height: 320 },
+};
+
+// Output encoding per input format (animated GIFs keep only their first frame)
+const OUTPUT = {
+  jpeg: { format: "jpeg", extension: ".jpg", contentType: "image/jpeg", options: { quality: 85, mozjpeg: true } },
+  png: { format: "png", extension: ".png", contentType: "image/png", options: {} },
+  webp: { format: "webp", extension: ".webp", contentType: "image/webp", options: { quality: 85 } },
+  gif: { format: "png", extension: ".png", contentType: "image/png", options: {} },
+};
+
+const invalidImage = (message) => {
+  const err = new Error(message);
+  err.type = "upload.invalid.image";
+  return err;
+};
+
+const tempPath = (extension) =>
+  path.join(os.tmpdir(), `locolab-image-${crypto.randomBytes(12).toString("hex")}${extension}`);
+
+// Render one variant to a temp file, store it and describe it
+const storeVariant = async (pipeline, output, folder) => {
+  const file = tempPath(output.extension);
+  try {
+    const info = await pipeline.toFormat(output.format, output.options).toFile(file);
+    const { key } = await saveFile(file, {
+      folder,
+      visibility: "public",
+      contentType: output.contentType,
+      extension: output.extension,
+    });
+
+    return {
+      key,
+      url: await getPublicUrl(key),
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    };
+  } finally {
+    await fs.promises.unlink(file).catch(() => {});
+  }
+};
+
+// Check that a file really is a supported image and store it with its
+// variants. Returns { original, medium, thumbnail }, each with key, url,
+// width, height and size. Throws an "upload.invalid.image" error otherwise.
+const processImage = async (filePath, { folder }) => {
+  const input = () => sharp(filePath, { limitInputPixels: MAX_INPUT_PIXELS });
+
+  let metadata;
+  try {
+    metadata = await input().metadata();
+  } catch (err) {
+    throw invalidImage("File is not a readable image");
+  }
+
+  if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+    throw invalidImage(`Unsupported image format: ${metadata.format}`);
+  }
+
+  const output = OUTPUT[metadata.format];
+
+  try {
+    // rotate() applies the EXIF orientation; metadata is not copied to the output
+    const original = await storeVariant(input().rotate(), output, folder);
+
+    const image = { original };
+    for (const [name, { width, height }] of Object.entries(VARIANTS)) {
+      image[name] = await storeVariant(
+        input().rotate().resize(width, height, { fit: "inside", withoutEnlargement: true }),
+        output,
+        folder
+      );
+    }
+    return image;
+  } catch (err) {
+    if (err.type) throw err;
+    // Corrupt data is often only noticed while decoding
+    if (/Input (file|buffer)|VipsJpeg|pngload|webpload|gifload/i.test(err.message)) {
+      throw invalidImage("Image data is corrupt or truncated");
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  processImage,
+  VARIANTS,
+};
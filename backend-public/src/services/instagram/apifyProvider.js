@@ -0,0 +1,50 @@
+// backend/services/instagram/apifyProvider.js
+const { ApifyClient } = require("apify-client");
+
+// Apify actors used for scraping
+const PROFILE_ACTOR_ID = "dSCLg0C3YEZ83HzYX";
+const COMMENTS_ACTOR_ID = "SbK00X0JYCPblD2wp";
+
+const createApifyProvider = ({ token = process.env.APIFY_API_TOKEN } = {}) => {
+  const apifyClient = new ApifyClient({ token: `${token}` });
+
+  // Run an actor and return the items of its default dataset
+  const runActor = async (actorId, input) => {
+    const run = await apifyClient.actor(actorId).call(input);
+    const { items } = await apifyClient
+      .dataset(run.defaultDatasetId)
+      .listItems();
+    return items;
+  };
+
+  return {
+    name: "apify",
+
+    // Returns the raw profile (with latestPosts) or null if it doesn't exist
+    async getProfile(username) {
+      const items = await runActor(PROFILE_ACTOR_ID, { usernames: [username] });
+      return items.length > 0 ? items[0] : null;
+    },
+
+    // Returns { post, comments } or null if the post has no data
+    async getPostComments(postUrl, { limit = 100 } = {}) {
+      const items = await runActor(COMMENTS_ACTOR_ID, {
+        directUrls: [postUrl],
+        resultsLimit: limit,
+      });
+      if (items.length === 0) return null;
+
+      const post = items[0];
+      return { post, comments: post.comments || [] };
+    },
+
+    // The profile actor already returns the latest posts
+    async getRecentPosts(username, { limit = 12 } = {}) {
+      const profile = await this.getProfile(username);
+      if (!profile) return null;
+      return (profile.latestPosts || []).slice(0, limit);
+    },
+  };
+};
+
+module.exports = { createApifyProvider };
@@ -0,0 +1,56 @@
+// backend/services/instagram/fakeProvider.js
+// Offline provider backed by a JSON fixture file, for local development and tests
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "fixtures", "instagram.json");
+
+// Extract the shortcode from an Instagram post or reel URL
+const getShortcode = (postUrl) => {
+  const match = /instagram\.com\/(?:p|reel)\/([A-Za-z0-9_-]+)/.exec(postUrl || "");
+  return match ? match[1] : null;
+};
+
+const createFakeProvider = ({
+  fixturesPath = process.env.INSTAGRAM_FIXTURES_PATH || DEFAULT_FIXTURES_PATH,
+} = {}) => {
+  // Read fixtures on every call so they can be edited without a restart
+  const loadFixtures = () => {
+    const raw = fs.readFileSync(fixturesPath, "utf8");
+    const fixtures = JSON.parse(raw);
+    return {
+      profiles: fixtures.profiles || {},
+      posts: fixtures.posts || {},
+    };
+  };
+
+  // Fixture entries with an "error" key simulate a provider outage
+  const unwrap = (entry) => {
+    if (entry && entry.error) throw new Error(entry.error);
+    return entry || null;
+  };
+
+  return {
+    name: "fake",
+
+    async getProfile(username) {
+      const { profiles } = loadFixtures();
+      return unwrap(profiles[username]);
+    },
+
+    async getPostComments(postUrl, { limit = 100 } = {}) {
+      const { posts } = loadFixtures();
+      const post = unwrap(posts[getShortcode(postUrl)]);
+      if (!post) return null;
+      return { post, comments: (post.comments || []).slice(0, limit) };
+    },
+
+    async getRecentPosts(username, { limit = 12 } = {}) {
+      const profile = await this.getProfile(username);
+      if (!profile) return null;
+      return (profile.latestPosts || []).slice(0, limit);
+    },
+  };
+};
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,219 @@
+// backend/services/instagram/index.js
+// Instagram data access. Routes use these functions and never talk to a
+// provider directly; INSTAGRAM_PROVIDER selects the adapter ("apify" or "fake").
+const { createApifyProvider } = require("./apifyProvider");
+const { createFakeProvider } = require("./fakeProvider");
+
+const providerFactories = {
+  apify: createApifyProvider,
+  fake: createFakeProvider,
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = (process.env.INSTAGRAM_PROVIDER || "apify").toLowerCase();
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown INSTAGRAM_PROVIDER: ${name}`);
+    }
+    provider = factory();
+    console.log(`📸 Instagram provider: ${provider.name}`);
+  }
+  return provider;
+};
+
+// Override the configured provider (e.g. with a stub in tests)
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+// Clean the username (remove @ if present)
+const cleanUsername = (instaUsername) =>
+  instaUsername.replace(/^@/, "").toLowerCase().trim();
+
+// Function to scrape Instagram post comments
+async function scrapeInstagramComments(postUrl) {
+  try {
+    console.log(`🔍 Starting Instagram comment scrape for post: ${postUrl}`);
+
+    const result = await getProvider().getPostComments(postUrl, { limit: 100 });
+
+    if (!result) {
+      console.log("❌ No data found for the Instagram post");
+      return { success: false, comments: [], error: "Post not found or no comments" };
+    }
+
+    const { post: postData, comments } = result;
+
+    console.log(`✅ Successfully scraped ${comments.length} comments`);
+    return { success: true, comments, postData };
+  } catch (error) {
+    console.error("❌ Error during Instagram comment scrape:", error.message);
+    return { success: false, comments: [], error: error.message };
+  }
+}
+
+// Function to verify if user commented with product name
+async function verifyUserComment(instaUsername, postUrl, requiredProductName) {
+  try {
+    console.log(`🔍 Verifying comment by @${instaUsername} for product: ${requiredProductName}`);
+
+    const scrapeResult = await scrapeInstagramComments(postUrl);
+
+    if (!scrapeResult.success) {
+      return {
+        verified: false,
+        error: scrapeResult.error,
+        message: "Failed to scrape comments from the post"
+      };
+    }
+
+    const { comments } = scrapeResult;
+
+    const username = cleanUsername(instaUsername);
+    const productNameLower = requiredProductName.toLowerCase().trim();
+
+    // Find comments by the user
+    const userComments = comments.filter(comment => {
+      const commentUsername = comment.ownerUsername?.toLowerCase().trim();
+      return commentUsername === username;
+    });
+
+    if (userComments.length === 0) {
+      return {
+        verified: false,
+        message: `No comments found by @${instaUsername} on this post`,
+        totalComments: comments.length
+      };
+    }
+
+    // Check if any of the user's comments contain the product name
+    const verifiedComment = userComments.find(comment => {
+      const commentText = comment.text?.toLowerCase().trim() || "";
+      return commentText.includes(productNameLower);
+    });
+
+    if (verifiedComment) {
+      console.log(`✅ Verification successful! Found comment: "${verifiedComment.text}"`);
+      return {
+        verified: true,
+        message: "Comment verification successful",
+        comment: verifiedComment.text,
+        commentedAt: verifiedComment.timestamp,
+        userComments: userComments.length,
+        totalComments: comments.length
+      };
+    } else {
+      return {
+        verified: false,
+        message: `@${instaUsername} commented on the post but didn't mention "${requiredProductName}"`,
+        userComments: userComments.map(c => c.text),
+        totalComments: comments.length
+      };
+    }
+  } catch (error) {
+    console.error("❌ Error during comment verification:", error.message);
+    return {
+      verified: false,
+      error: error.message,
+      message: "Error occurred during comment verification"
+    };
+  }
+}
+
+// Function to scrape an Instagram profile and compute engagement stats
+async function scrapeInstagramData(instaUsername) {
+  try {
+    console.log(`🔍 Starting Instagram scrape for: ${instaUsername}`);
+
+    const username = cleanUsername(instaUsername);
+    const profile = await getProvider().getProfile(username);
+
+    if (!profile) {
+      console.log("❌ Instagram username not found:", username);
+      return { exists: false, data: null };
+    }
+
+    const followers = Number(profile.followersCount) || 0;
+    const totalUploads = Number(profile.postsCount) || 0;
+    const profilePicHD = profile.profilePicUrlHD || "";
+    const posts = profile.latestPosts || [];
+
+    let totalLikes = 0;
+    let totalComments = 0;
+    let totalEngagement = 0;
+    let postDates = [];
+
+    posts.forEach((post) => {
+      const likes = Number(post.likesCount) || 0;
+      const comments = Number(post.commentsCount) || 0;
+      const timestamp = post.timestamp ? new Date(post.timestamp) : null;
+
+      totalLikes += likes;
+      totalComments += comments;
+      if (timestamp) postDates.push(timestamp);
+
+      if (followers > 0) {
+        const engagement = ((likes + comments) / followers) * 100;
+        totalEngagement += engagement;
+      }
+    });
+
+    const postCount = posts.length;
+    const avgLikes = postCount ? Math.round(totalLikes / postCount) : 0;
+    const avgComments = postCount ? Math.round(totalComments / postCount) : 0;
+    // Average engagement per post, as a percentage rounded to 2 decimals
+    const engagementRate = postCount
+      ? Number((totalEngagement / postCount).toFixed(2))
+      : 0;
+
+    let postsPerWeek = 0;
+    if (postDates.length >= 2) {
+      postDates.sort((a, b) => b - a);
+      const durationWeeks =
+        (postDates[0] - postDates[postDates.length - 1]) /
+        (1000 * 60 * 60 * 24 * 7);
+      postsPerWeek =
+        durationWeeks > 0
+          ? Number((postCount / durationWeeks).toFixed(2))
+          : postCount;
+    }
+
+    const topPostLinks = posts.slice(0, 3).map((p) => p.displayUrl || "");
+
+    const scrapedData = {
+      followers,
+      totalUploads,
+      avgLikes,
+      avgComments,
+      postsPerWeek,
+      engagementRate,
+      profileHD: profilePicHD,
+      post1: topPostLinks[0] || "",
+      post2: topPostLinks[1] || "",
+      post3: topPostLinks[2] || "",
+    };
+
+    console.log("✅ Instagram scrape completed successfully");
+    return { exists: true, data: scrapedData };
+  } catch (error) {
+    console.error("❌ Error during Instagram scrape:", error.message);
+    return { exists: false, data: null, error: error.message };
+  }
+}
+
+// Function to fetch the latest posts of a profile
+async function getRecentPosts(instaUsername, { limit = 12 } = {}) {
+  return getProvider().getRecentPosts(cleanUsername(instaUsername), { limit });
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  scrapeInstagramComments,
+  verifyUserComment,
+  scrapeInstagramData,
+  getRecentPosts,
+};
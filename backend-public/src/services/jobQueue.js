@@ -0,0 +1,165 @@
+// backend/services/jobQueue.js
+// MongoDB-backed background job queue with retries and exponential backoff.
+// Handlers are registered per job type and run by an in-process poller.
+const Job = require("../models/Job");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+let pollTimer = null;
+let processing = false;
+let context = {};
+
+// Register the handler for a job type. onFailure runs once the job has
+// permanently failed (retries exhausted or a non-retryable error).
+const registerHandler = (type, handler, { onFailure } = {}) => {
+  handlers.set(type, { handler, onFailure });
+};
+
+// Add a job to the queue
+const enqueue = async (
+  type,
+  payload = {},
+  { delayMs = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}
+) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts,
+    runAt: new Date(Date.now() + delayMs),
+  });
+  console.log(`📥 Job queued: ${type} (${job._id})`);
+  return job;
+};
+
+// Error that fails the job immediately instead of retrying it
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// Atomically lock the next runnable job of a registered type
+const claimNextJob = () =>
+  Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: new Date() },
+      type: { $in: Array.from(handlers.keys()) },
+    },
+    {
+      $set: { status: "running", lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+const runJob = async (job) => {
+  const { handler, onFailure } = handlers.get(job.type);
+  const jobContext = { ...context, job };
+
+  try {
+    await handler(job.payload, jobContext);
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    job.lockedAt = undefined;
+    await job.save();
+    console.log(`✅ Job completed: ${job.type} (${job._id})`);
+  } catch (err) {
+    const willRetry = err.retryable !== false && job.attempts < job.maxAttempts;
+
+    job.lastError = err.message;
+    job.lockedAt = undefined;
+    if (willRetry) {
+      job.status = "queued";
+      job.runAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    } else {
+      job.status = "failed";
+      job.failedAt = new Date();
+    }
+    await job.save();
+
+    if (willRetry) {
+      console.warn(
+        `🔁 Job ${job.type} (${job._id}) failed on attempt ${job.attempts}/${job.maxAttempts}, retrying at ${job.runAt.toISOString()}:`,
+        err.message
+      );
+      return;
+    }
+
+    console.error(`❌ Job failed: ${job.type} (${job._id}):`, err.message);
+    if (onFailure) {
+      try {
+        await onFailure(job.payload, err, jobContext);
+      } catch (failureErr) {
+        console.error(`❌ Failure handler error for ${job.type}:`, failureErr);
+      }
+    }
+  }
+};
+
+// Requeue jobs whose worker died while running them
+const recoverStaleJobs = () =>
+  Job.updateMany(
+    {
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    { $set: { status: "queued", runAt: new Date() }, $unset: { lockedAt: "" } }
+  );
+
+const processJobs = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await recoverStaleJobs();
+
+    let job;
+    while (pollTimer && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("❌ Job queue error:", err);
+  } finally {
+    processing = false;
+  }
+};
+
+// Start polling for jobs. The context (e.g. { io }) is passed to every handler.
+const start = ({
+  pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+  ...jobContext
+} = {}) => {
+  if (pollTimer) return;
+
+  context = jobContext;
+  pollTimer = setInterval(processJobs, pollIntervalMs);
+  processJobs();
+  console.log(
+    `⚙️ Job queue started (${handlers.size} job types, polling every ${pollIntervalMs}ms)`
+  );
+};
+
+const stop = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log("✅ Job queue stopped");
+  }
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  permanentError,
+  start,
+  stop,
+};
@@ -0,0 +1,17 @@
+// backend/services/mailer/consoleTransport.js
+// Prints mail to the server log instead of sending it (development default).
+const crypto = require("crypto");
+
+const createConsoleTransport = () => ({
+  name: "console",
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@console>`;
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+    return { messageId };
+  },
+});
+
+module.exports = { createConsoleTransport };
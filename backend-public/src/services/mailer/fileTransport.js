@@ -0,0 +1,26 @@
+// backend/services/mailer/fileTransport.js
+// Writes each message as a JSON file into a folder instead of sending it, so
+// tests and local tooling can read what would have been sent.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const createFileTransport = ({
+  dir = process.env.MAIL_FILE_DIR || path.join(__dirname, "../../../mail-outbox"),
+} = {}) => ({
+  name: "file",
+  dir,
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const sentAt = new Date();
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${sentAt.getTime()}-${id}.json`),
+      JSON.stringify({ ...message, messageId: id, sentAt }, null, 2)
+    );
+    return { messageId: `<${id}@file>` };
+  },
+});
+
+module.exports = { createFileTransport };
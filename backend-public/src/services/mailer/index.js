@@ -0,0 +1,65 @@
+// backend/services/mailer/index.js
+// Outbound email. MAIL_TRANSPORT selects delivery: "smtp", "console" (prints
+// to the log) or "file" (JSON files in MAIL_FILE_DIR, for tests). Without it,
+// SMTP is used when SMTP_HOST is set and the console otherwise. Routes should
+// queue mail through jobs/mail rather than sending it inline.
+const templates = require("./templates");
+const { createSmtpTransport } = require("./smtpTransport");
+const { createConsoleTransport } = require("./consoleTransport");
+const { createFileTransport } = require("./fileTransport");
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = (
+      process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console")
+    ).toLowerCase();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    transport = factory();
+    console.log(`📧 Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+// Override the configured transport (e.g. with a stub in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getFromAddress = () => process.env.MAIL_FROM || "LocoLab <no-reply@locolab.app>";
+
+const hasTemplate = (name) => Object.prototype.hasOwnProperty.call(templates, name);
+
+// Render a named template into { subject, text, html }
+const renderTemplate = (name, data = {}) => {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return templates[name](data);
+};
+
+// Send a rendered message { to, subject, text, html } right away.
+// Returns { messageId }.
+const sendMail = (message) => getTransport().send({ from: getFromAddress(), ...message });
+
+// Render and send a template right away. Returns { messageId }.
+const sendTemplate = (to, name, data) => sendMail({ to, ...renderTemplate(name, data) });
+
+module.exports = {
+  getTransport,
+  setTransport,
+  hasTemplate,
+  renderTemplate,
+  sendMail,
+  sendTemplate,
+};
@@ -0,0 +1,34 @@
+// backend/services/mailer/smtpTransport.js
+// Delivers mail to an SMTP server. For local development point it at an SMTP
+// catcher such as Mailpit or MailHog (SMTP_HOST=localhost, SMTP_PORT=1025).
+const nodemailer = require("nodemailer");
+
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) => {
+  if (!host) {
+    throw new Error("SMTP_HOST must be set for the smtp mail transport");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,13 @@
+const { renderEmail } = require("./layout");
+
+// data: { name, status ("banned" or "suspended"), reason }
+module.exports = ({ name, status = "banned", reason }) =>
+  renderEmail({
+    subject: `Your LocoLab account has been ${status}`,
+    paragraphs: [
+      `Hi ${name || "there"},`,
+      `Your LocoLab account has been ${status} by an administrator and you have been signed out.`,
+      `Reason: ${reason || "No reason provided"}`,
+      "If you think this is a mistake, reply to this email to contact support.",
+    ],
+  });
@@ -0,0 +1,10 @@
+// backend/services/mailer/templates/index.js
+// Email templates by name. Each takes a data object and returns
+// { subject, text, html }.
+module.exports = {
+  passwordReset: require("./passwordReset"),
+  welcome: require("./welcome"),
+  accountBanned: require("./accountBanned"),
+  newApplication: require("./newApplication"),
+  newMessage: require("./newMessage"),
+};
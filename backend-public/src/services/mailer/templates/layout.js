@@ -0,0 +1,51 @@
+// backend/services/mailer/templates/layout.js
+// Shared HTML shell and helpers for email templates. Every value placed in
+// HTML goes through escapeHtml.
+const APP_NAME = "LocoLab";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const frontendUrl = (pathname = "") =>
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}${pathname}`;
+
+// Paragraphs are escaped; the optional button links to `action.url`
+const renderHtml = ({ title, paragraphs, action }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f7;font-family:Arial,Helvetica,sans-serif;color:#1d1d1f;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+        ${paragraphs.map((text) => `<p style="font-size:15px;line-height:1.5;margin:0 0 12px;">${escapeHtml(text)}</p>`).join("\n        ")}
+        ${
+          action
+            ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>`
+            : ""
+        }
+        <p style="font-size:12px;color:#86868b;margin:24px 0 0;">${APP_NAME}</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+const renderText = ({ paragraphs, action }) =>
+  [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : []), `— ${APP_NAME}`].join("\n\n");
+
+// Build { subject, text, html } from one description of the email
+const renderEmail = ({ subject, title = subject, paragraphs, action }) => ({
+  subject,
+  text: renderText({ paragraphs, action }),
+  html: renderHtml({ title, paragraphs, action }),
+});
+
+module.exports = {
+  APP_NAME,
+  escapeHtml,
+  frontendUrl,
+  renderEmail,
+};
@@ -0,0 +1,14 @@
+const { renderEmail, frontendUrl } = require("./layout");
+
+// data: { brandName, campaignId, campaignName, creatorUsername, waitlisted }
+module.exports = ({ brandName, campaignId, campaignName, creatorUsername, waitlisted }) =>
+  renderEmail({
+    subject: `New application for ${campaignName}`,
+    paragraphs: [
+      `Hi ${brandName || "there"},`,
+      `@${creatorUsername} applied to your campaign "${campaignName}"${
+        waitlisted ? " and joined the waitlist because the campaign is full" : ""
+      }.`,
+    ],
+    action: { label: "Review applicants", url: frontendUrl(`/campaigns/${campaignId}/applicants`) },
+  });
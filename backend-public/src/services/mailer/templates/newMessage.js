@@ -0,0 +1,17 @@
+const { renderEmail, frontendUrl } = require("./layout");
+
+const PREVIEW_LENGTH = 200;
+
+// data: { recipientName, senderName, chatId, preview }
+module.exports = ({ recipientName, senderName, chatId, preview }) =>
+  renderEmail({
+    subject: `New message from ${senderName}`,
+    paragraphs: [
+      `Hi ${recipientName || "there"},`,
+      `${senderName} sent you a message on LocoLab:`,
+      preview
+        ? `"${preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview}"`
+        : "(attachment)",
+    ],
+    action: { label: "Reply", url: frontendUrl(`/chats/${chatId}`) },
+  });
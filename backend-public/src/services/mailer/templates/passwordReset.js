@@ -0,0 +1,13 @@
+const { renderEmail } = require("./layout");
+
+// data: { name, resetLink, expiresInMinutes }
+module.exports = ({ name, resetLink, expiresInMinutes = 60 }) =>
+  renderEmail({
+    subject: "Reset your LocoLab password",
+    paragraphs: [
+      `Hi ${name || "there"},`,
+      "We received a request to reset your password. Use the link below to choose a new one.",
+      `The link expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.`,
+    ],
+    action: { label: "Reset password", url: resetLink },
+  });
@@ -0,0 +1,17 @@
+const { renderEmail, frontendUrl } = require("./layout");
+
+// data: { name, role, status }
+module.exports = ({ name, role, status }) =>
+  renderEmail({
+    subject: "Welcome to LocoLab",
+    paragraphs: [
+      `Hi ${name || "there"},`,
+      role === "creator"
+        ? "Thanks for joining LocoLab as a creator. We're verifying your Instagram account in the background."
+        : "Thanks for joining LocoLab. You can start creating campaigns and finding creators.",
+      status === "pending_review"
+        ? "Your account is being reviewed by our team. We'll let you know as soon as it's approved."
+        : "Your account is ready to use.",
+    ],
+    action: { label: "Open LocoLab", url: frontendUrl("/") },
+  });
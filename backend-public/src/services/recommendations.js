@@ -0,0 +1,224 @@
+// backend/services/recommendations.js
+// Ranks open campaigns for a creator. Every score is the sum of named
+// factors, each returned with its points and a reason, so the ranking can be
+// explained in the UI.
+const Campaign = require("../models/Campaign");
+const Application = require("../models/Application");
+const Invitation = require("../models/Invitation");
+const { eligibilityFilter } = require("./eligibility");
+
+// Most campaigns scored per request; newest first
+const CANDIDATE_LIMIT = 300;
+
+// Follower tiers and the per-post rate (USD) brands typically pay each tier
+const FOLLOWER_TIERS = [
+  { name: "nano", maxFollowers: 10000, rate: { min: 10, max: 100 } },
+  { name: "micro", maxFollowers: 100000, rate: { min: 100, max: 500 } },
+  { name: "mid", maxFollowers: 500000, rate: { min: 500, max: 5000 } },
+  { name: "macro", maxFollowers: Infinity, rate: { min: 5000, max: Infinity } },
+];
+
+const MAX_POINTS = {
+  niche: 35,
+  location: 25,
+  reward: 20,
+  history: 20,
+};
+
+const INVITED_BONUS = 10;
+
+const normalize = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+
+const followerTier = (followers) =>
+  typeof followers === "number"
+    ? FOLLOWER_TIERS.find((tier) => followers <= tier.maxFollowers)
+    : null;
+
+const scoreNiche = (campaign, creator) => {
+  const niche = normalize(creator.niche);
+  const campaignNiche = normalize(campaign.niche);
+  const targeted = campaign.eligibility?.niches || [];
+
+  if (niche && (campaignNiche === niche || targeted.includes(niche))) {
+    return { points: MAX_POINTS.niche, reason: `Looking for ${creator.niche} creators` };
+  }
+  if (!campaignNiche && targeted.length === 0) {
+    return { points: 10, reason: "Open to every niche" };
+  }
+  return { points: 0, reason: `Targets ${campaign.niche || targeted.join(", ")}` };
+};
+
+const scoreLocation = (campaign, creator) => {
+  const city = normalize(creator.city);
+  const state = normalize(creator.state);
+  const campaignCity = normalize(campaign.city);
+
+  if (city && (campaignCity === city || campaign.eligibility?.cities?.includes(city))) {
+    return { points: MAX_POINTS.location, reason: `In your city (${creator.city})` };
+  }
+  if (state && campaign.eligibility?.states?.includes(state)) {
+    return { points: 15, reason: `Open to creators in ${creator.state}` };
+  }
+  if (!campaignCity) {
+    return { points: 10, reason: "Not tied to a city" };
+  }
+  return { points: 0, reason: `Based in ${campaign.city}` };
+};
+
+// Barter suits smaller accounts; paid campaigns fit when the budget overlaps
+// the rate typical for the creator's tier
+const scoreReward = (campaign, creator) => {
+  const tier = followerTier(creator.scrapedData?.followers);
+  if (!tier) {
+    return { points: 5, reason: "Follower count not known yet" };
+  }
+
+  if (campaign.rewardType === "barter") {
+    return ["nano", "micro"].includes(tier.name)
+      ? { points: MAX_POINTS.reward, reason: `Barter campaigns suit ${tier.name} creators` }
+      : { points: 5, reason: `Barter only, below the usual rate for ${tier.name} creators` };
+  }
+
+  const { min, max } = campaign.budgetRange || {};
+  if (min === undefined && max === undefined) {
+    return { points: 10, reason: "Paid campaign without a published budget" };
+  }
+  const budgetMin = min ?? 0;
+  const budgetMax = max ?? Infinity;
+  if (budgetMax >= tier.rate.min && budgetMin <= tier.rate.max) {
+    return { points: MAX_POINTS.reward, reason: `Budget fits ${tier.name} creator rates` };
+  }
+  return budgetMax < tier.rate.min
+    ? { points: 3, reason: `Budget is below typical ${tier.name} creator rates` }
+    : { points: 8, reason: `Budget is aimed at larger creators than ${tier.name}` };
+};
+
+// What the creator applied to before: niches, reward types and brands that hired them
+const buildHistoryProfile = async (creatorId) => {
+  const applications = await Application.find({ creator: creatorId })
+    .select("status brand campaign")
+    .populate("campaign", "niche rewardType")
+    .lean();
+
+  const niches = new Map();
+  const rewardTypes = new Map();
+  const hiredBy = new Set();
+
+  applications.forEach((application) => {
+    if (application.status === "hired") hiredBy.add(application.brand.toString());
+    if (!application.campaign) return;
+    const niche = normalize(application.campaign.niche);
+    if (niche) niches.set(niche, (niches.get(niche) || 0) + 1);
+    const { rewardType } = application.campaign;
+    if (rewardType) rewardTypes.set(rewardType, (rewardTypes.get(rewardType) || 0) + 1);
+  });
+
+  return { total: applications.length, niches, rewardTypes, hiredBy };
+};
+
+const scoreHistory = (campaign, creator, history) => {
+  if (history.total === 0) {
+    return { points: 0, reason: "No past applications yet" };
+  }
+
+  const reasons = [];
+  let points = 0;
+
+  const nicheCount = history.niches.get(normalize(campaign.niche)) || 0;
+  if (nicheCount > 0) {
+    points += Math.round(10 * Math.min(1, nicheCount / 3));
+    reasons.push(`You applied to ${nicheCount} ${campaign.niche} campaigns`);
+  }
+
+  const rewardShare = (history.rewardTypes.get(campaign.rewardType) || 0) / history.total;
+  if (rewardShare > 0) {
+    points += Math.round(6 * rewardShare);
+    reasons.push(`${Math.round(rewardShare * 100)}% of your applications were ${campaign.rewardType}`);
+  }
+
+  if (campaign.brand && history.hiredBy.has(campaign.brand._id.toString())) {
+    points += 4;
+    reasons.push("This brand hired you before");
+  }
+
+  return {
+    points: Math.min(MAX_POINTS.history, points),
+    reason: reasons.length > 0 ? reasons.join("; ") : "Unlike your past applications",
+  };
+};
+
+const SCORERS = {
+  niche: scoreNiche,
+  location: scoreLocation,
+  reward: scoreReward,
+  history: scoreHistory,
+};
+
+// Score one campaign. Returns { score, factors: [{ factor, points, maxPoints, reason }] }.
+const scoreCampaign = (campaign, creator, history, invited) => {
+  const factors = Object.entries(SCORERS).map(([factor, score]) => ({
+    factor,
+    ...score(campaign, creator, history),
+    maxPoints: MAX_POINTS[factor],
+  }));
+
+  if (invited) {
+    factors.push({
+      factor: "invited",
+      points: INVITED_BONUS,
+      maxPoints: INVITED_BONUS,
+      reason: "The brand invited you",
+    });
+  }
+
+  return {
+    score: factors.reduce((sum, { points }) => sum + points, 0),
+    factors,
+  };
+};
+
+// Active campaigns the creator can see, is eligible for and has not applied
+// to, best first. Returns [{ campaign, recommendation }].
+const recommendCampaigns = async (creator, { limit = 10 } = {}) => {
+  const [invitedCampaignIds, appliedCampaignIds, history] = await Promise.all([
+    Invitation.invitedCampaignIds(creator._id),
+    Application.distinct("campaign", {
+      creator: creator._id,
+      status: { $nin: Application.INACTIVE_STATUSES },
+    }),
+    buildHistoryProfile(creator._id),
+  ]);
+
+  const campaigns = await Campaign.find({
+    status: "active",
+    ...Campaign.visibleBrandFilter(),
+    _id: { $nin: appliedCampaignIds },
+    $and: [
+      { $or: [Campaign.listedFilter(), { _id: { $in: invitedCampaignIds } }] },
+      // Full campaigns without a waitlist can't be applied to
+      { $or: [{ slots: null }, { waitlistEnabled: true }, { $expr: { $lt: ["$hiredCount", "$slots"] } }] },
+      // Invited creators skip the eligibility rules
+      { $or: [eligibilityFilter(creator), { _id: { $in: invitedCampaignIds } }] },
+    ],
+  })
+    .populate("brand", "brandName niche")
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  const invited = new Set(invitedCampaignIds.map(String));
+
+  return campaigns
+    .map((campaign) => ({
+      campaign,
+      recommendation: scoreCampaign(campaign, creator, history, invited.has(campaign._id.toString())),
+    }))
+    // Stable sort keeps newer campaigns first on equal scores
+    .sort((a, b) => b.recommendation.score - a.recommendation.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  FOLLOWER_TIERS,
+  scoreCampaign,
+  recommendCampaigns,
+};
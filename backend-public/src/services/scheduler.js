@@ -0,0 +1,50 @@
+// backend/services/scheduler.js
+// Minimal interval scheduler for recurring background tasks. Tasks should be
+// cheap; slow or retryable work belongs in the job queue.
+const tasks = new Map();
+let context = {};
+
+// Register a recurring task
+const scheduleTask = (name, intervalMs, task) => {
+  tasks.set(name, { intervalMs, task, timer: null, running: false });
+};
+
+const runTask = async (name, entry) => {
+  // Skip the tick if the previous run hasn't finished yet
+  if (entry.running) return;
+  entry.running = true;
+
+  try {
+    await entry.task(context);
+  } catch (err) {
+    console.error(`❌ Scheduled task "${name}" failed:`, err);
+  } finally {
+    entry.running = false;
+  }
+};
+
+// Start all tasks. The context (e.g. { io }) is passed to every task run.
+const start = (taskContext = {}) => {
+  context = taskContext;
+  tasks.forEach((entry, name) => {
+    if (entry.timer) return;
+    entry.timer = setInterval(() => runTask(name, entry), entry.intervalMs);
+    runTask(name, entry);
+    console.log(
+      `⏰ Scheduled task "${name}" every ${Math.round(entry.intervalMs / 1000)}s`
+    );
+  });
+};
+
+const stop = () => {
+  tasks.forEach((entry) => {
+    clearInterval(entry.timer);
+    entry.timer = null;
+  });
+};
+
+module.exports = {
+  scheduleTask,
+  start,
+  stop,
+};
@@ -0,0 +1,39 @@
+// backend/services/search.js
+// Helpers for building queries from user input without letting it act as a
+// regular expression.
+
+// Escape regex metacharacters so the value matches literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive match of the whole field, e.g. a niche picked from a facet
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, "i");
+
+// Count documents matching a filter per value of each field, as
+// { field: [{ value, count }] } sorted by count. `$text` filters are allowed.
+const facetCounts = async (Model, filter, fields, { limit = 20 } = {}) => {
+  const [result] = await Model.aggregate([
+    { $match: filter },
+    {
+      $facet: Object.fromEntries(
+        fields.map((field) => [
+          field,
+          [
+            { $match: { [field]: { $nin: [null, ""] } } },
+            // Values differing only in case are counted together
+            { $group: { _id: { $toLower: `$${field}` }, value: { $first: `$${field}` }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, value: 1, count: 1 } },
+          ],
+        ])
+      ),
+    },
+  ]);
+  return result;
+};
+
+module.exports = {
+  escapeRegex,
+  exactMatch,
+  facetCounts,
+};
@@ -0,0 +1,93 @@
+// backend/services/storage/index.js
+// File storage. Routes store and link files through these functions and never
+// touch the disk or bucket directly; STORAGE_DRIVER selects the backend
+// ("local" or "s3"). Files are named by content hash, so the same upload is
+// stored once. Public files get a stable URL, private files a signed URL that
+// expires.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createLocalDriver } = require("./localDriver");
+const { createS3Driver } = require("./s3Driver");
+
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+const SIGNED_URL_TTL_SECONDS =
+  Number(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 15 * 60;
+
+let driver = null;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+    driver = factory();
+    console.log(`🗄️ Storage driver: ${driver.name}`);
+  }
+  return driver;
+};
+
+// Override the configured driver (e.g. with a stub in tests)
+const setDriver = (customDriver) => {
+  driver = customDriver;
+};
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+// Store a file from local disk under "<folder>/<sha256><extension>".
+// The source file is moved (or deleted after upload) unless keepSource is set.
+// Returns { key, hash }.
+const saveFile = async (
+  filePath,
+  { folder, visibility, contentType, extension = path.extname(filePath), keepSource = false }
+) => {
+  const hash = await hashFile(filePath);
+  const key = `${folder}/${hash}${extension.toLowerCase()}`;
+
+  await getDriver().put(visibility, key, filePath, { contentType, keepSource });
+  return { key, hash };
+};
+
+// Store a file received by the upload middleware
+const saveUploadedFile = (file, { folder, visibility }) =>
+  saveFile(file.path, {
+    folder,
+    visibility,
+    contentType: file.mimetype,
+    extension: path.extname(file.filename),
+  });
+
+const deleteFile = (key, { visibility }) => getDriver().remove(visibility, key);
+
+// Stable URL of a public file
+const getPublicUrl = (key) => getDriver().publicUrl(key);
+
+// Expiring URL of a private file. Only hand these out after an access check.
+const getSignedUrl = (
+  key,
+  { fileName, disposition, contentType, expiresIn = SIGNED_URL_TTL_SECONDS } = {}
+) => getDriver().signedUrl(key, { expiresIn, fileName, disposition, contentType });
+
+module.exports = {
+  getDriver,
+  setDriver,
+  saveFile,
+  saveUploadedFile,
+  deleteFile,
+  getPublicUrl,
+  getSignedUrl,
+  SIGNED_URL_TTL_SECONDS,
+};
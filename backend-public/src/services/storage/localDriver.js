@@ -0,0 +1,126 @@
+// backend/services/storage/localDriver.js
+// Stores files on local disk. Public files are served statically at /uploads;
+// private files are streamed by the /api/files route behind an HMAC signature.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Keys are always "<folder>/<sha256>.<ext>"; anything else is rejected so a
+// key can never escape the storage root
+const KEY_PATTERN = /^[a-z0-9-]+\/[a-f0-9]{64}\.[a-z0-9]+$/;
+
+const createLocalDriver = ({
+  root = process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, "../../../storage"),
+  signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+  publicBaseUrl = "/uploads",
+  privateBaseUrl = "/api/files",
+} = {}) => {
+  const roots = {
+    public: path.join(root, "public"),
+    private: path.join(root, "private"),
+  };
+
+  const resolve = (visibility, key) => {
+    if (!roots[visibility]) {
+      throw new Error(`Unknown storage visibility: ${visibility}`);
+    }
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(roots[visibility], key);
+  };
+
+  const sign = (fields) =>
+    crypto
+      .createHmac("sha256", `${signingSecret}`)
+      .update(fields.join("\n"))
+      .digest("hex");
+
+  const signatureFields = ({ key, expires, fileName = "", disposition = "", contentType = "" }) => [
+    key,
+    expires,
+    fileName,
+    disposition,
+    contentType,
+  ];
+
+  return {
+    name: "local",
+    publicRoot: roots.public,
+
+    async put(visibility, key, filePath, { keepSource = false } = {}) {
+      const destination = resolve(visibility, key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+      if (keepSource) {
+        await fs.promises.copyFile(filePath, destination);
+        return;
+      }
+
+      try {
+        await fs.promises.rename(filePath, destination);
+      } catch (err) {
+        // Temp dir on another device
+        if (err.code !== "EXDEV") throw err;
+        await fs.promises.copyFile(filePath, destination);
+        await fs.promises.unlink(filePath);
+      }
+    },
+
+    async remove(visibility, key) {
+      await fs.promises.unlink(resolve(visibility, key)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+
+    async publicUrl(key) {
+      resolve("public", key);
+      return `${publicBaseUrl}/${key}`;
+    },
+
+    async signedUrl(key, { expiresIn, fileName, disposition, contentType }) {
+      resolve("private", key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = { key, expires, fileName, disposition, contentType };
+
+      const query = new URLSearchParams({ expires: String(expires) });
+      if (fileName) query.set("name", fileName);
+      if (disposition) query.set("disposition", disposition);
+      if (contentType) query.set("type", contentType);
+      query.set("signature", sign(signatureFields(params)));
+
+      return `${privateBaseUrl}/${key}?${query.toString()}`;
+    },
+
+    // Check a signed URL's query against its key. Returns the response
+    // options to serve the file with, or null if the signature is invalid
+    // or expired.
+    verifySignedRequest(key, query) {
+      const { expires, name, disposition, type, signature } = query;
+      if (!KEY_PATTERN.test(key) || !expires || typeof signature !== "string") {
+        return null;
+      }
+
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return null;
+
+      const expected = sign(
+        signatureFields({ key, expires, fileName: name, disposition, contentType: type })
+      );
+      if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      ) {
+        return null;
+      }
+
+      return {
+        filePath: resolve("private", key),
+        fileName: name,
+        disposition,
+        contentType: type,
+      };
+    },
+  };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,92 @@
+// backend/services/storage/s3Driver.js
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...). Keys are
+// prefixed with "public/" or "private/"; the bucket policy (or a CDN) should
+// expose only the public/ prefix at STORAGE_S3_PUBLIC_URL.
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+const createS3Driver = ({
+  bucket = process.env.STORAGE_S3_BUCKET,
+  region = process.env.STORAGE_S3_REGION || "us-east-1",
+  endpoint = process.env.STORAGE_S3_ENDPOINT,
+  forcePathStyle = process.env.STORAGE_S3_FORCE_PATH_STYLE === "true",
+  accessKeyId = process.env.STORAGE_S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+  publicUrl = process.env.STORAGE_S3_PUBLIC_URL,
+} = {}) => {
+  if (!bucket) {
+    throw new Error("STORAGE_S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  // Default public URL: the bucket itself (path style for custom endpoints)
+  const publicBase = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  const objectKey = (visibility, key) => `${visibility}/${key}`;
+
+  return {
+    name: "s3",
+
+    async put(visibility, key, filePath, { contentType, keepSource = false } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(visibility, key),
+          Body: fs.createReadStream(filePath),
+          ContentLength: size,
+          ContentType: contentType,
+          // Content-hash keys never change content, so they can be cached forever
+          CacheControl: visibility === "public" ? "public, max-age=31536000, immutable" : "private",
+        })
+      );
+
+      if (!keepSource) {
+        await fs.promises.unlink(filePath);
+      }
+    },
+
+    async remove(visibility, key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(visibility, key) })
+      );
+    },
+
+    async publicUrl(key) {
+      return `${publicBase}/${objectKey("public", key)}`;
+    },
+
+    async signedUrl(key, { expiresIn, fileName, disposition, contentType }) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey("private", key),
+        ...(contentType && { ResponseContentType: contentType }),
+        ...(disposition && {
+          ResponseContentDisposition: fileName
+            ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+            : disposition,
+        }),
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    },
+  };
+};
+
+module.exports = { createS3Driver };
@@ -1,5 +1,13 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { checkTokenUser } = require("../services/authTokens");
+const Message = require("../models/Message");
+const {
+  findParticipantChat,
+  sendMessage,
+  markChatRead,
+  emitReadReceipt,
+} = require("../services/chatService");
 
 // Store active socket connections
 const activeUsers = new Map();
@@ -14,13 +22,15 @@ const socketAuth = async (socket, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.id).select("-password");
-    
-    if (!user) {
-      return next(new Error("Authentication error: User not found"));
+
+    const rejection = await checkTokenUser(decoded, user);
+    if (rejection) {
+      return next(new Error(`Authentication error: ${rejection.error}`));
     }
 
     socket.userId = user._id.toString();
     socket.user = user;
+    socket.sessionId = decoded.sid;
     next();
   } catch (err) {
     console.error("Socket authentication error:", err);
@@ -42,6 +52,11 @@ const handleConnection = (io) => {
     // Join user to their personal room for notifications
     socket.join(`user_${socket.userId}`);
 
+    // Per-session room, so revoking one session drops only its sockets
+    if (socket.sessionId) {
+      socket.join(`session_${socket.sessionId}`);
+    }
+
     // Handle joining specific chat rooms
     socket.on("join_chat", (chatId) => {
       console.log(`👥 User ${socket.userId} joined chat: ${chatId}`);
@@ -90,14 +105,59 @@ const handleConnection = (io) => {
       });
     });
 
-    // Handle message read receipts
-    socket.on("message_read", (data) => {
-      const { chatId, messageId } = data;
-      socket.to(`chat_${chatId}`).emit("message_read_receipt", {
-        messageId,
-        readBy: socket.userId,
-        readAt: new Date(),
-      });
+    // Handle sending messages. The ack gets { ok, message, duplicate } or { ok: false, error }.
+    // Clients should retry with the same clientMessageId until they get an ack.
+    socket.on("send_message", async (data, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+
+      try {
+        const { chatId, content, clientMessageId } = data || {};
+
+        // Same rule as requireActive on the REST routes. socket.user was loaded
+        // at connect time, so reload it: the account may have been approved since.
+        const sender = await User.findById(socket.userId);
+        if (sender) socket.user = sender;
+        if (!sender || !sender.isVisible()) {
+          return reply({ ok: false, error: "Your account must be active to do this", clientMessageId });
+        }
+
+        const result = await sendMessage(io, {
+          chatId,
+          sender: socket.user,
+          content,
+          clientMessageId,
+        });
+
+        if (result.error) {
+          return reply({ ok: false, error: result.error, clientMessageId });
+        }
+
+        reply({ ok: true, message: result.message, duplicate: result.duplicate });
+      } catch (err) {
+        console.error(`❌ Failed to send message for user ${socket.userId}:`, err);
+        reply({ ok: false, error: "Server error", clientMessageId: data?.clientMessageId });
+      }
+    });
+
+    // Handle message read receipts: persist the read marker, then notify
+    socket.on("message_read", async (data) => {
+      try {
+        const { chatId, messageId } = data || {};
+
+        const chat = await findParticipantChat(chatId, socket.userId);
+        if (!chat) return;
+
+        const message = await Message.findOne({ _id: messageId, chat: chat._id })
+          .select("_id createdAt");
+        if (!message) return;
+
+        const readState = await markChatRead(chat._id, socket.user._id, message);
+        if (readState) {
+          emitReadReceipt(io, chat, socket.userId, readState);
+        }
+      } catch (err) {
+        console.error(`❌ Failed to mark messages read for user ${socket.userId}:`, err);
+      }
     });
 
     // Handle user status updates
@@ -0,0 +1,55 @@
+// Instagram provider layer, run against the offline fake provider
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeProvider } = require("../src/services/instagram/fakeProvider");
+const instagram = require("../src/services/instagram");
+
+const POST_URL = "https://www.instagram.com/p/LOCOLABDEMO/";
+
+instagram.setProvider(createFakeProvider());
+
+test("scrapeInstagramData computes stats from the fixture profile", async () => {
+  const { exists, data } = await instagram.scrapeInstagramData("@Demo_Creator");
+
+  assert.equal(exists, true);
+  assert.equal(data.followers, 12500);
+  assert.equal(data.totalUploads, 214);
+  assert.equal(data.avgLikes, 577);
+  assert.equal(data.avgComments, 30);
+  assert.ok(data.engagementRate > 0);
+  assert.ok(data.post1.startsWith("https://"));
+});
+
+test("scrapeInstagramData reports unknown usernames as missing", async () => {
+  const result = await instagram.scrapeInstagramData("nobody_here");
+  assert.deepEqual(result, { exists: false, data: null });
+});
+
+test("scrapeInstagramData turns provider errors into a result", async () => {
+  const result = await instagram.scrapeInstagramData("demo_outage");
+  assert.equal(result.exists, false);
+  assert.equal(result.error, "Simulated Instagram provider outage");
+});
+
+test("verifyUserComment finds the product name in the user's comment", async () => {
+  const result = await instagram.verifyUserComment("demo_creator", POST_URL, "LocoLab");
+  assert.equal(result.verified, true);
+  assert.equal(result.comment, "Loving the new LocoLab launch!");
+});
+
+test("verifyUserComment rejects comments without the product name", async () => {
+  const result = await instagram.verifyUserComment("demo_foodie", POST_URL, "LocoLab");
+  assert.equal(result.verified, false);
+  assert.match(result.message, /didn't mention "LocoLab"/);
+});
+
+test("verifyUserComment fails for users who did not comment", async () => {
+  const result = await instagram.verifyUserComment("someone_else", POST_URL, "LocoLab");
+  assert.equal(result.verified, false);
+  assert.equal(result.totalComments, 2);
+});
+
+test("getRecentPosts limits the fixture posts", async () => {
+  const posts = await instagram.getRecentPosts("demo_creator", { limit: 2 });
+  assert.equal(posts.length, 2);
+});